@@ -0,0 +1,89 @@
+import { analyzeVideo, isValidVideoId } from '../lib/analyze.js';
+import { AppError, sendError, getRequestId, toErrorResponse } from '../lib/errors.js';
+import { applyCors } from '../lib/cors.js';
+import { abortOnDisconnect } from '../lib/cancel.js';
+import { checkRateLimit, setRateLimitHeaders } from '../lib/ratelimit.js';
+import { isValidLanguageCode } from '../lib/language.js';
+import { parseProfile } from '../lib/profile.js';
+
+// GET /api/analyze-stream?videoId=...&transcriptLanguage=es&outputLanguage=en&profile={json}&refresh=1&transcript=1
+// Server-Sent Events: metadata, provider, analyzing, token, then result or error.
+// The site reads it with EventSource, which can't send an API key, so with
+// REQUIRE_API_KEY=1 every request ends in an UNAUTHORIZED error event; API
+// clients with a key use POST /api/analyze instead.
+export default async function handler(req, res) {
+  if (!applyCors(req, res, 'GET, OPTIONS')) {
+    return sendError(req, res, new AppError('ORIGIN_NOT_ALLOWED'));
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(req, res, new AppError('METHOD_NOT_ALLOWED'));
+  }
+
+  const { videoId, transcriptLanguage, outputLanguage } = req.query;
+
+  if (!videoId) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Video ID is required'));
+  }
+
+  if (!isValidVideoId(videoId)) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Invalid video ID format'));
+  }
+
+  if ((transcriptLanguage && !isValidLanguageCode(transcriptLanguage)) || (outputLanguage && !isValidLanguageCode(outputLanguage))) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Invalid language code'));
+  }
+
+  const rateLimit = await checkRateLimit(req);
+  setRateLimitHeaders(res, rateLimit);
+
+  const requestId = getRequestId(req);
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const sendErrorEvent = error => {
+    const { status, body } = toErrorResponse(error, requestId);
+    send('error', { status, ...body });
+  };
+
+  // EventSource can't read a 429's body, so a refusal goes out as an error event
+  if (!rateLimit.allowed) {
+    sendErrorEvent(rateLimit.error);
+    return res.end();
+  }
+
+  const signal = abortOnDisconnect(res);
+
+  try {
+    const response = await analyzeVideo(videoId, {
+      refresh: req.query.refresh === '1',
+      includeTranscript: req.query.transcript === '1',
+      transcriptLanguage: transcriptLanguage || undefined,
+      outputLanguage: outputLanguage || undefined,
+      profile: parseProfile(req.query.profile),
+      signal,
+      onProgress: send
+    });
+    send('result', response);
+  } catch (error) {
+    if (signal.aborted) {
+      // Nobody is left to answer
+      console.log(`Analysis cancelled, client disconnected [${requestId}]:`, videoId);
+      return res.end();
+    }
+    console.error(`Analysis error [${requestId}]:`, error);
+    sendErrorEvent(error);
+  }
+
+  res.end();
+}
@@ -0,0 +1,68 @@
+import { askVideo, MAX_QUESTION_LENGTH } from '../lib/ask.js';
+import { isValidVideoId } from '../lib/analyze.js';
+import { AppError, sendError, getRequestId } from '../lib/errors.js';
+import { applyCors } from '../lib/cors.js';
+import { abortOnDisconnect } from '../lib/cancel.js';
+import { enforceRateLimit } from '../lib/ratelimit.js';
+import { isValidLanguageCode } from '../lib/language.js';
+
+// POST /api/ask { videoId, question, history, title, transcriptLanguage, outputLanguage }
+export default async function handler(req, res) {
+  if (!applyCors(req, res, 'POST, OPTIONS')) {
+    return sendError(req, res, new AppError('ORIGIN_NOT_ALLOWED'));
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return sendError(req, res, new AppError('METHOD_NOT_ALLOWED'));
+  }
+
+  const { videoId, question, history, title, transcriptLanguage, outputLanguage } = req.body;
+
+  if (!videoId) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Video ID is required'));
+  }
+
+  if (!isValidVideoId(videoId)) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Invalid video ID format'));
+  }
+
+  if (typeof question !== 'string' || !question.trim()) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Question is required'));
+  }
+
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return sendError(req, res, new AppError('BAD_REQUEST', `Question must be at most ${MAX_QUESTION_LENGTH} characters`));
+  }
+
+  if ((transcriptLanguage && !isValidLanguageCode(transcriptLanguage)) || (outputLanguage && !isValidLanguageCode(outputLanguage))) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Invalid language code'));
+  }
+
+  if (!(await enforceRateLimit(req, res))) return;
+
+  const signal = abortOnDisconnect(res);
+
+  try {
+    const response = await askVideo(videoId, question.trim(), {
+      title: typeof title === 'string' ? title.slice(0, 300) : '',
+      history,
+      transcriptLanguage: transcriptLanguage || undefined,
+      outputLanguage: outputLanguage || undefined,
+      signal
+    });
+    return res.status(200).json(response);
+  } catch (error) {
+    if (signal.aborted) {
+      // Nobody is left to answer
+      console.log(`Ask cancelled, client disconnected [${getRequestId(req)}]:`, videoId);
+      return;
+    }
+    console.error(`Ask error [${getRequestId(req)}]:`, error);
+
+    return sendError(req, res, error);
+  }
+}
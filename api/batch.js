@@ -0,0 +1,87 @@
+import { createBatchJob, expandCollection, canExpandCollections, getJob, parseCollectionUrl, DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE } from '../lib/batch.js';
+import { AppError, sendError, getRequestId } from '../lib/errors.js';
+import { applyCors } from '../lib/cors.js';
+import { enforceRateLimit } from '../lib/ratelimit.js';
+import { isValidLanguageCode } from '../lib/language.js';
+import { parseProfile } from '../lib/profile.js';
+
+// POST /api/batch { url, limit, transcriptLanguage, outputLanguage, profile } queues one
+// analysis per video in a playlist or channel; GET /api/batch?id=... polls it.
+// Jobs run in the background of the process that created them and are saved
+// to the cache store, so with KV configured any instance can answer a poll.
+// Serverless functions stop once they respond, though, so there pass ?wait=1
+// to run the whole batch in the request.
+// Listing a playlist or channel needs YOUTUBE_API_KEY.
+export default async function handler(req, res) {
+  if (!applyCors(req, res, 'GET, POST, OPTIONS')) {
+    return sendError(req, res, new AppError('ORIGIN_NOT_ALLOWED'));
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method === 'GET') {
+    const { id } = req.query;
+    if (!id) {
+      return sendError(req, res, new AppError('BAD_REQUEST', 'Job ID is required'));
+    }
+
+    const job = await getJob(id);
+    if (!job) {
+      return sendError(req, res, new AppError('NOT_FOUND', 'Job not found'));
+    }
+    return res.status(200).json(job);
+  }
+
+  if (req.method !== 'POST') {
+    return sendError(req, res, new AppError('METHOD_NOT_ALLOWED'));
+  }
+
+  const { url, limit, transcriptLanguage, outputLanguage } = req.body;
+
+  if (!url) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Playlist or channel URL is required'));
+  }
+
+  const collection = parseCollectionUrl(url);
+  if (!collection) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Not a YouTube playlist or channel URL'));
+  }
+
+  if (!canExpandCollections()) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Playlists and channels need a YouTube Data API key (YOUTUBE_API_KEY) on the server'));
+  }
+
+  if ((transcriptLanguage && !isValidLanguageCode(transcriptLanguage)) || (outputLanguage && !isValidLanguageCode(outputLanguage))) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Invalid language code'));
+  }
+
+  // Every video in the batch counts against the daily quota, charged once the
+  // collection is expanded so a missing playlist or a short one costs nothing
+  // extra. Until then only the request itself counts.
+  if (!(await enforceRateLimit(req, res, { cost: 0 }))) return;
+
+  try {
+    const size = Math.max(1, Math.min(parseInt(limit) || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE));
+    const videoIds = await expandCollection(collection, size);
+    if (!(await enforceRateLimit(req, res, { cost: videoIds.length, countRequest: false }))) return;
+
+    const { job, done } = await createBatchJob(url, {
+      videoIds,
+      transcriptLanguage: transcriptLanguage || undefined,
+      outputLanguage: outputLanguage || undefined,
+      profile: parseProfile(req.body.profile)
+    });
+
+    if (req.query?.wait === '1') {
+      return res.status(200).json(await done);
+    }
+
+    return res.status(202).json(job);
+  } catch (error) {
+    console.error(`Batch error [${getRequestId(req)}]:`, error);
+
+    return sendError(req, res, error);
+  }
+}
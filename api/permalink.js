@@ -0,0 +1,61 @@
+import { isValidVideoId } from '../lib/analyze.js';
+import { getPermalink, renderPermalinkPage, permalinkPath } from '../lib/permalink.js';
+import { DEFAULT_OUTPUT_LANGUAGE, isValidLanguageCode } from '../lib/language.js';
+import { EXPORT_FORMATS, renderExport, exportFilename } from '../lib/shared/export.js';
+import { AppError, sendError, getRequestId } from '../lib/errors.js';
+
+function publicOrigin(req) {
+  if (process.env.PUBLIC_URL) {
+    return process.env.PUBLIC_URL.replace(/\/+$/, '');
+  }
+  const protocol = req.headers['x-forwarded-proto']?.split(',')[0] || 'http';
+  return `${protocol}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
+
+// GET /v/:videoId[?lang=es][&format=markdown|json|text|obsidian]
+// Vercel rewrites /v/:videoId to /api/permalink?videoId=...; server.js routes it directly.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return sendError(req, res, new AppError('METHOD_NOT_ALLOWED'));
+  }
+
+  const videoId = req.params?.videoId || req.query.videoId;
+  const language = req.query.lang || DEFAULT_OUTPUT_LANGUAGE;
+  const format = req.query.format;
+
+  if (!isValidVideoId(videoId || '')) {
+    return sendError(req, res, new AppError('NOT_FOUND', 'Invalid video ID format'));
+  }
+
+  if (!isValidLanguageCode(language)) {
+    return sendError(req, res, new AppError('BAD_REQUEST', 'Invalid language code'));
+  }
+
+  if (format && !EXPORT_FORMATS[format]) {
+    return sendError(req, res, new AppError('BAD_REQUEST', `Unknown format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`));
+  }
+
+  try {
+    const analysis = await getPermalink(videoId, language);
+
+    if (format) {
+      if (!analysis) {
+        return sendError(req, res, new AppError('NOT_FOUND', 'This video has not been analyzed yet'));
+      }
+      res.setHeader('Content-Type', `${EXPORT_FORMATS[format].mimeType}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(exportFilename(analysis, format))}`);
+      return res.status(200).send(renderExport(analysis, format));
+    }
+
+    const page = await renderPermalinkPage({
+      videoId,
+      analysis,
+      url: publicOrigin(req) + permalinkPath(videoId, language)
+    });
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(page);
+  } catch (error) {
+    console.error(`Permalink error [${getRequestId(req)}]:`, error);
+    return sendError(req, res, error);
+  }
+}
@@ -0,0 +1,28 @@
+import { applyCors } from '../lib/cors.js';
+import { getQuota } from '../lib/ratelimit.js';
+import { AppError, sendError } from '../lib/errors.js';
+
+// GET /api/quota shows the caller's daily quota without using any of it:
+// { scope: 'ip' | 'key', name, limit, remaining, reset }. limit is null when
+// there's no daily quota.
+export default async function handler(req, res) {
+  if (!applyCors(req, res, 'GET, OPTIONS')) {
+    return sendError(req, res, new AppError('ORIGIN_NOT_ALLOWED'));
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(req, res, new AppError('METHOD_NOT_ALLOWED'));
+  }
+
+  const quota = await getQuota(req);
+  if (quota.error) {
+    return sendError(req, res, quota.error);
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(quota);
+}
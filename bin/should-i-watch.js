@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import dotenv from 'dotenv';
+import { parseVideoInput } from '../lib/shared/video-id.js';
+import { renderExport } from '../lib/shared/export.js';
+import { normalizeChapters } from '../lib/shared/chapters.js';
+import { formatTimestamp } from '../lib/shared/timestamp.js';
+import { isValidLanguageCode } from '../lib/language.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Exit codes: the most cautious verdict across all videos wins
+const EXIT = {
+  watch: 0,
+  error: 1,
+  usage: 2,
+  skim: 3,
+  skip: 4
+};
+const SEVERITY = ['watch', 'skim', 'skip', 'error'];
+
+const USAGE = `Usage: should-i-watch [options] <url-or-id>...
+
+Analyze YouTube videos and print a summary, verdict and chapters.
+
+Options:
+  -f, --file <path>      Read URLs or IDs from a file, one per line ('-' for stdin)
+  -s, --server <url>     Use a running server's /api/analyze instead of analyzing
+                         in-process (default: $SHOULD_I_WATCH_SERVER)
+  -l, --lang <code>      Write the analysis in this language (default: en)
+      --captions <code>  Preferred caption language
+      --refresh          Ignore cached transcripts and analyses
+      --json             Print the analysis as JSON
+      --markdown         Print the analysis as Markdown
+      --chapters-only    Print only the chapter list (0:00 Title)
+      --no-color         Disable colors (also honors NO_COLOR)
+  -v, --verbose          Show pipeline logs on stderr
+  -h, --help             Show this help
+
+Exit codes:
+  0 watch   3 skim   4 skip   1 error   2 bad usage
+  With several videos, the most cautious outcome wins.
+
+In-process runs read ANTHROPIC_API_KEY, YOUTUBE_API_KEY and the other
+settings from .env in the current directory or the project root. With
+--server, $SHOULD_I_WATCH_API_KEY is sent as the server's API key.`;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      file: { type: 'string', short: 'f' },
+      server: { type: 'string', short: 's' },
+      lang: { type: 'string', short: 'l' },
+      captions: { type: 'string' },
+      refresh: { type: 'boolean' },
+      json: { type: 'boolean' },
+      markdown: { type: 'boolean' },
+      'chapters-only': { type: 'boolean' },
+      'no-color': { type: 'boolean' },
+      verbose: { type: 'boolean', short: 'v' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const outputs = ['json', 'markdown', 'chapters-only'].filter(name => values[name]);
+  if (outputs.length > 1) {
+    throw new Error(`Choose one of --${outputs.join(', --')}`);
+  }
+
+  return { ...values, output: outputs[0] || 'summary', inputs: positionals };
+}
+
+async function readInputFile(path) {
+  let text;
+  if (path === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks).toString('utf8');
+  } else {
+    text = await readFile(path, 'utf8');
+  }
+
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+function createColors(enabled) {
+  const wrap = (open, close) => text => enabled ? `\x1b[${open}m${text}\x1b[${close}m` : String(text);
+  return {
+    bold: wrap(1, 22),
+    dim: wrap(2, 22),
+    red: wrap(31, 39),
+    green: wrap(32, 39),
+    yellow: wrap(33, 39),
+    magenta: wrap(35, 39),
+    cyan: wrap(36, 39)
+  };
+}
+
+// Runs the pipeline in this process; imported lazily so .env is loaded first
+async function createLocalAnalyzer() {
+  const { analyzeVideo } = await import('../lib/analyze.js');
+  const { setCacheStore, createFileStore } = await import('../lib/cache.js');
+  setCacheStore(createFileStore(process.env.CACHE_DIR || join(ROOT, '.cache')));
+
+  return (videoId, options) => analyzeVideo(videoId, options);
+}
+
+function createRemoteAnalyzer(server, apiKey) {
+  const base = server.replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return async (videoId, { refresh, transcriptLanguage, outputLanguage }) => {
+    const response = await fetch(`${base}/api/analyze`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ videoId, refresh, transcriptLanguage, outputLanguage })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || `Server responded with ${response.status}`);
+    }
+    return data;
+  };
+}
+
+function formatSummary(data, c) {
+  const verdict = data.verdict;
+  const decisionColors = { watch: c.green, skim: c.yellow, skip: c.red };
+  const bold = text => (text || '').replace(/\*\*([^*]+)\*\*/g, (match, inner) => c.bold(inner));
+  const lines = [
+    c.bold(data.title || data.videoId),
+    c.dim([data.channelTitle, data.duration, data.viewCount && `${data.viewCount} views`, data.likeCount && `${data.likeCount} likes`, data.publishedAt].filter(Boolean).join(' · '))
+  ];
+
+  if (verdict && decisionColors[verdict.decision]) {
+    const parts = [decisionColors[verdict.decision](c.bold(verdict.decision.toUpperCase()))];
+    if (typeof verdict.score === 'number') parts.push(`${verdict.score}/100`);
+    if (verdict.timeSavedSeconds > 0) parts.push(`saves ${verdict.timeSavedFormatted || formatTimestamp(verdict.timeSavedSeconds)}`);
+    if (verdict.audience?.length) parts.push(c.dim(`for ${verdict.audience.join(', ')}`));
+    lines.push('', parts.join('  '));
+  }
+
+  lines.push('', c.magenta('TLDR'), bold(data.tldr));
+
+  if (data.keyTakeaways?.length) {
+    lines.push('', c.magenta('Key takeaways'));
+    data.keyTakeaways.forEach((takeaway, i) => lines.push(`  ${i + 1}. ${bold(takeaway)}`));
+  }
+
+  const chapters = normalizeChapters(data.chapters);
+  if (chapters.length) {
+    lines.push('', c.magenta('Chapters'));
+    chapters.forEach(chapter => lines.push(`  ${c.cyan(chapter.timestampFormatted.padStart(7))}  ${bold(chapter.title)}`));
+  }
+
+  const segments = verdict?.decision === 'watch' ? [] : (verdict?.segments || []);
+  if (segments.length) {
+    lines.push('', c.magenta('Watch only these parts'));
+    segments.forEach(segment => lines.push(
+      `  ${c.cyan(`${formatTimestamp(segment.start)}–${formatTimestamp(segment.end)}`)}  ${segment.reason}`
+    ));
+  }
+
+  lines.push('', bold(data.shouldWatch), c.dim(`https://www.youtube.com/watch?v=${data.videoId}`));
+  return lines.join('\n');
+}
+
+function formatChapters(data) {
+  return normalizeChapters(data.chapters)
+    .map(chapter => `${chapter.timestampFormatted} ${chapter.title.replace(/\*\*([^*]+)\*\*/g, '$1')}`)
+    .join('\n');
+}
+
+function print(text = '') {
+  process.stdout.write(text + '\n');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT.usage;
+  }
+
+  if (options.help) {
+    print(USAGE);
+    return EXIT.watch;
+  }
+
+  const inputs = [...options.inputs];
+  if (options.file) {
+    try {
+      inputs.push(...await readInputFile(options.file));
+    } catch (error) {
+      console.error(`Could not read ${options.file}: ${error.message}`);
+      return EXIT.usage;
+    }
+  }
+
+  if (inputs.length === 0) {
+    console.error(USAGE);
+    return EXIT.usage;
+  }
+
+  const languages = [options.lang, options.captions].filter(Boolean);
+  if (languages.some(code => !isValidLanguageCode(code))) {
+    console.error(`Invalid language code: ${languages.filter(code => !isValidLanguageCode(code)).join(', ')}`);
+    return EXIT.usage;
+  }
+
+  const videos = inputs.map(input => ({ input, videoId: parseVideoInput(input) }));
+  const invalid = videos.filter(video => !video.videoId);
+  if (invalid.length > 0) {
+    console.error(`Not a YouTube video URL or ID: ${invalid.map(video => video.input).join(', ')}`);
+    return EXIT.usage;
+  }
+
+  dotenv.config({ path: [join(process.cwd(), '.env'), join(ROOT, '.env')], quiet: true });
+
+  // The pipeline logs progress with console.log and provider failures with
+  // console.warn/error. Stdout is for results and stderr for our own
+  // messages, so its logs only show (on stderr) with --verbose.
+  const consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+  const report = consoleMethods.error;
+  const pipelineLog = options.verbose ? (...args) => report(...args) : () => {};
+  Object.assign(console, { log: pipelineLog, warn: pipelineLog, error: pipelineLog });
+
+  const server = options.server || process.env.SHOULD_I_WATCH_SERVER;
+  const analyze = server ? createRemoteAnalyzer(server, process.env.SHOULD_I_WATCH_API_KEY) : await createLocalAnalyzer();
+  const c = createColors(!options['no-color'] && !process.env.NO_COLOR && process.stdout.isTTY);
+  const analysisOptions = {
+    refresh: Boolean(options.refresh),
+    transcriptLanguage: options.captions,
+    outputLanguage: options.lang
+  };
+
+  const outcomes = [];
+  const jsonResults = [];
+
+  for (const [i, video] of videos.entries()) {
+    if (options.output === 'summary' && videos.length > 1) {
+      process.stderr.write(c.dim(`[${i + 1}/${videos.length}] ${video.videoId}\n`));
+    }
+
+    try {
+      const data = await analyze(video.videoId, analysisOptions);
+      outcomes.push(data.verdict?.decision in EXIT ? data.verdict.decision : 'watch');
+
+      if (options.output === 'json') {
+        jsonResults.push(JSON.parse(renderExport(data, 'json')));
+      } else if (options.output === 'markdown') {
+        print((i > 0 ? '\n---\n\n' : '') + renderExport(data, 'markdown').trimEnd());
+      } else if (options.output === 'chapters-only') {
+        if (videos.length > 1) print(`${i > 0 ? '\n' : ''}# ${data.title || data.videoId}`);
+        print(formatChapters(data));
+      } else {
+        print((i > 0 ? '\n' : '') + formatSummary(data, c));
+      }
+    } catch (error) {
+      outcomes.push('error');
+      jsonResults.push({ videoId: video.videoId, error: error.message });
+      report(c.red(`${video.videoId}: ${error.message}`));
+    }
+  }
+
+  if (options.output === 'json') {
+    print(JSON.stringify(videos.length === 1 ? jsonResults[0] : jsonResults, null, 2));
+  }
+
+  Object.assign(console, consoleMethods);
+  const worst = outcomes.reduce((a, b) => SEVERITY.indexOf(b) > SEVERITY.indexOf(a) ? b : a, 'watch');
+  return EXIT[worst];
+}
+
+process.exitCode = await main();
@@ -0,0 +1,41 @@
+import { getApiBase } from './settings.js';
+
+// Requests go through the service worker so they run with the extension's
+// host permissions instead of youtube.com's CORS context.
+async function analyze(videoId) {
+  const apiBase = await getApiBase();
+  const response = await fetch(`${apiBase}/api/analyze`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ videoId })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || `Request failed (${response.status})`);
+  }
+
+  return { ...data, permalinkUrl: data.permalink ? apiBase + data.permalink : null };
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'analyze') return false;
+
+  analyze(message.videoId)
+    .then(data => sendResponse({ data }))
+    .catch(error => sendResponse({
+      error: error instanceof TypeError
+        ? 'Could not reach the Should I Watch server. Check the API URL in the extension options.'
+        : error.message
+    }));
+
+  // Keeps the channel open for the async response
+  return true;
+});
+
+chrome.action.onClicked.addListener(() => {
+  chrome.runtime.openOptionsPage();
+});
@@ -0,0 +1,189 @@
+(function() {
+  'use strict';
+
+  // extractVideoId comes from video-id.js, loaded before this script
+
+  const DECISION_LABELS = {
+    watch: 'Watch it',
+    skim: 'Skim it',
+    skip: 'Skip it'
+  };
+
+  const results = new Map();
+  let host = null;
+  let panel = null;
+  let currentVideoId = null;
+  let chapters = [];
+  let trackedVideo = null;
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function renderMarkdown(text) {
+    return escapeHtml(text || '').replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+  }
+
+  function formatTimestamp(seconds) {
+    const hrs = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+
+    if (hrs > 0) {
+      return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  // Shorts keep several <video> elements around; the playing one is current
+  function getPlayerVideo() {
+    const videos = Array.from(document.querySelectorAll('video'));
+    return videos.find(video => !video.paused) || document.querySelector('video.html5-main-video') || videos[0] || null;
+  }
+
+  function createPanel() {
+    host = document.createElement('div');
+    host.id = 'should-i-watch-extension';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <link rel="stylesheet" href="${chrome.runtime.getURL('panel.css')}">
+      <button class="toggle" type="button" title="Should I Watch?">▶?</button>
+      <aside class="panel hidden">
+        <header>
+          <span class="brand">Should I Watch?</span>
+          <button class="close" type="button" title="Close">×</button>
+        </header>
+        <div class="body"></div>
+      </aside>
+    `;
+    document.documentElement.appendChild(host);
+
+    panel = root.querySelector('.panel');
+    root.querySelector('.toggle').addEventListener('click', () => setOpen(panel.classList.contains('hidden')));
+    root.querySelector('.close').addEventListener('click', () => setOpen(false));
+
+    panel.addEventListener('click', (e) => {
+      const chapter = e.target.closest('[data-seek]');
+      if (!chapter) return;
+      e.preventDefault();
+      const video = getPlayerVideo();
+      if (video) {
+        video.currentTime = Number(chapter.dataset.seek);
+        video.play();
+      }
+    });
+
+    chrome.storage.local.get({ panelOpen: false }).then(({ panelOpen }) => setOpen(panelOpen));
+  }
+
+  function setOpen(open) {
+    panel.classList.toggle('hidden', !open);
+    chrome.storage.local.set({ panelOpen: open });
+    if (open) {
+      update();
+    }
+  }
+
+  function setBody(html) {
+    panel.querySelector('.body').innerHTML = html;
+  }
+
+  function renderAnalysis(data) {
+    const verdict = data.verdict;
+    const decision = verdict && DECISION_LABELS[verdict.decision] ? verdict.decision : null;
+    chapters = (data.chapters || []).filter(chapter => chapter.title);
+
+    const badge = decision
+      ? `<div class="verdict ${decision}">
+          <strong>${DECISION_LABELS[decision]}</strong>
+          ${typeof verdict.score === 'number' ? `<span>${verdict.score}/100</span>` : ''}
+          ${verdict.timeSavedSeconds > 0 ? `<span>saves ${escapeHtml(verdict.timeSavedFormatted || formatTimestamp(verdict.timeSavedSeconds))}</span>` : ''}
+        </div>`
+      : '';
+
+    const chapterItems = chapters.map((chapter, i) => `
+      <a class="chapter" href="#" data-seek="${chapter.timestamp || 0}" data-index="${i}">
+        <span class="time">${chapter.timestampFormatted || formatTimestamp(chapter.timestamp || 0)}</span>
+        <span>${escapeHtml(chapter.title)}</span>
+      </a>
+    `).join('');
+
+    setBody(`
+      ${badge}
+      <h3>TLDR</h3>
+      <p>${renderMarkdown(data.tldr)}</p>
+      ${data.shouldWatch ? `<p class="should-watch">${renderMarkdown(data.shouldWatch)}</p>` : ''}
+      ${chapters.length > 0 ? `<h3>Chapters</h3><div class="chapters">${chapterItems}</div>` : ''}
+      ${data.permalinkUrl ? `<a class="full" href="${escapeHtml(data.permalinkUrl)}" target="_blank" rel="noopener">Open the full analysis ↗</a>` : ''}
+    `);
+    trackPlayback();
+  }
+
+  // Highlights the chapter under the playhead
+  function onTimeUpdate() {
+    const time = trackedVideo.currentTime;
+    let index = -1;
+    chapters.forEach((chapter, i) => {
+      if ((chapter.timestamp || 0) <= time) index = i;
+    });
+    panel.querySelectorAll('.chapter').forEach(chapterEl => {
+      chapterEl.classList.toggle('playing', Number(chapterEl.dataset.index) === index);
+    });
+  }
+
+  function trackPlayback() {
+    const video = getPlayerVideo();
+    if (video === trackedVideo) return;
+    if (trackedVideo) {
+      trackedVideo.removeEventListener('timeupdate', onTimeUpdate);
+    }
+    trackedVideo = video;
+    if (trackedVideo) {
+      trackedVideo.addEventListener('timeupdate', onTimeUpdate);
+    }
+  }
+
+  async function update() {
+    const videoId = extractVideoId(location.href);
+    host.style.display = videoId ? '' : 'none';
+    if (!videoId || panel.classList.contains('hidden')) return;
+    if (videoId === currentVideoId && results.has(videoId)) return;
+
+    currentVideoId = videoId;
+    if (results.has(videoId)) {
+      renderAnalysis(results.get(videoId));
+      return;
+    }
+
+    setBody('<p class="status">Reading the transcript and writing a summary…</p>');
+    let reply;
+    try {
+      reply = await chrome.runtime.sendMessage({ type: 'analyze', videoId });
+    } catch (e) {
+      // The extension was reloaded or updated under this page
+      reply = { error: 'The extension was updated. Reload the page to continue.' };
+    }
+    const { data, error } = reply;
+
+    // The user may have moved on to another video while this one was analyzed
+    if (videoId !== currentVideoId) return;
+
+    if (error) {
+      currentVideoId = null;
+      setBody(`<p class="error">${escapeHtml(error)}</p>`);
+      return;
+    }
+
+    results.set(videoId, data);
+    renderAnalysis(data);
+  }
+
+  createPanel();
+  update();
+
+  // YouTube is a single-page app; it fires this after every in-app navigation
+  document.addEventListener('yt-navigate-finish', update);
+  window.addEventListener('popstate', update);
+})();
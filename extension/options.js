@@ -0,0 +1,31 @@
+import { DEFAULT_API_BASE, getApiBase } from './settings.js';
+
+const form = document.getElementById('options-form');
+const apiBaseInput = document.getElementById('api-base');
+const status = document.getElementById('status');
+
+apiBaseInput.value = await getApiBase();
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  let url;
+  try {
+    url = new URL(apiBaseInput.value.trim() || DEFAULT_API_BASE);
+  } catch (error) {
+    status.textContent = 'Enter a full URL, e.g. https://example.com';
+    return;
+  }
+
+  // Deployed servers need a host permission granted at runtime; localhost is
+  // covered by the manifest. Match patterns can't carry a port.
+  const granted = await chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+  if (!granted) {
+    status.textContent = 'Permission to reach that server was denied';
+    return;
+  }
+
+  await chrome.storage.sync.set({ apiBase: url.origin });
+  apiBaseInput.value = url.origin;
+  status.textContent = 'Saved';
+});
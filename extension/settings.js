@@ -0,0 +1,8 @@
+// Where the analyze API lives. Point it at your deployment in the options
+// page; the default is a local `npm start`.
+export const DEFAULT_API_BASE = 'http://localhost:3000';
+
+export async function getApiBase() {
+  const { apiBase } = await chrome.storage.sync.get({ apiBase: DEFAULT_API_BASE });
+  return apiBase.replace(/\/+$/, '');
+}
@@ -0,0 +1,358 @@
+import { getTranscript } from './transcript.js';
+import { cached, hash, TRANSCRIPT_TTL, ANALYSIS_TTL } from './cache.js';
+import {
+  formatTimestamp,
+  formatDuration,
+  formatViewCount,
+  formatDate
+} from './format.js';
+import { MODEL, completeValidTool, fillTemplate } from './claude.js';
+import { ANALYSIS_TOOL, CHUNK_SUMMARY_TOOL, validateAnalysis } from './schema.js';
+import { groundChapters, locateTakeaways } from './grounding.js';
+import { cleanSegments } from './cleanup.js';
+import { savePermalink, permalinkPath } from './permalink.js';
+import { normalizeChapters } from './shared/chapters.js';
+import { DEFAULT_OUTPUT_LANGUAGE, LANGUAGE_TEMPLATE, baseLanguage, languageInstruction } from './language.js';
+import { PROFILE_TEMPLATE, profileInstruction } from './profile.js';
+import {
+  CHUNK_PROMPT,
+  LONG_TRANSCRIPT_CHARS,
+  splitTranscript,
+  summarizeChunks,
+  formatChunkSummaries,
+  snapToCandidates
+} from './chunking.js';
+import { getVideoInfo } from './metadata.js';
+
+export function isValidVideoId(videoId) {
+  return /^[a-zA-Z0-9_-]{11}$/.test(videoId);
+}
+
+export function prepareTranscriptForAnalysis(transcript) {
+  let fullText = '';
+  const segments = [];
+
+  for (const item of transcript) {
+    const timestamp = Math.floor(item.offset / 1000);
+    segments.push({
+      timestamp,
+      text: item.text
+    });
+    fullText += `[${formatTimestamp(timestamp)}] ${item.text}\n`;
+  }
+
+  const totalDuration = transcript.length > 0
+    ? Math.floor((transcript[transcript.length - 1].offset + transcript[transcript.length - 1].duration) / 1000)
+    : 0;
+
+  return { fullText, segments, totalDuration };
+}
+
+const ANALYSIS_RULES = `Important rules:
+- tldr: 2-3 concise sentences for a 30-second read
+- keyTopics: 5-8 bullet points covering all major themes chronologically
+- chapters: 6-12 timestamped chapters covering all major sections (timestamps in seconds, increasing, before the end of the video)
+- keyTakeaways: 3-7 numbered actionable insights - the most valuable 20% of content
+- shouldWatch: Clear "watch/don't watch" signal with target audience
+- verdict: the same call in structured form - decision (watch/skim/skip), a 0-100 score for watching in full, the segments worth watching (start/end seconds, with a short reason), and 2-5 audience tags
+- Keep everything concise but complete
+- Write for speed reading (short sentences)
+- Bold key phrases using **text** markdown`;
+
+export const ANALYSIS_PROMPT = `You are analyzing a YouTube video transcript to help viewers decide if it's worth watching.
+
+Video Title: {{title}}
+Channel: {{channelTitle}}
+Duration: {{duration}}
+{{language}}
+
+Here is the transcript with timestamps:
+
+{{transcript}}
+
+{{profile}}
+
+Analyze this transcript and record your analysis with the ${ANALYSIS_TOOL.name} tool.
+
+${ANALYSIS_RULES}`;
+
+export const MERGE_PROMPT = `You are analyzing a long YouTube video to help viewers decide if it's worth watching. The transcript was too long to read at once, so each section was summarized separately.
+
+Video Title: {{title}}
+Channel: {{channelTitle}}
+Duration: {{duration}}
+{{language}}
+
+Here are the section summaries in chronological order:
+
+{{sections}}
+
+{{profile}}
+
+Combine these sections into one analysis of the whole video and record it with the ${ANALYSIS_TOOL.name} tool.
+
+${ANALYSIS_RULES}
+- chapters: choose from the candidate chapters above and keep their timestamps exactly`;
+
+// Changing any prompt or the model invalidates cached analyses
+export const ANALYSIS_VERSION = hash(
+  [
+    MODEL,
+    ANALYSIS_PROMPT,
+    CHUNK_PROMPT,
+    MERGE_PROMPT,
+    JSON.stringify(ANALYSIS_TOOL),
+    JSON.stringify(CHUNK_SUMMARY_TOOL),
+    JSON.stringify(LANGUAGE_TEMPLATE),
+    JSON.stringify(PROFILE_TEMPLATE)
+  ].join('\n')
+);
+
+// Time saved is derived rather than asked for: skipping saves the whole
+// video, watching only the listed segments saves everything else.
+export function estimateTimeSaved(decision, segments, duration) {
+  if (!duration) return 0;
+  if (decision === 'skip') return duration;
+  if (decision === 'watch') return 0;
+
+  const watched = segments.reduce((total, segment) => total + (segment.end - segment.start), 0);
+  return Math.max(0, duration - watched);
+}
+
+function normalizeVerdict(verdict, duration) {
+  const segments = (verdict?.segments || []).map(segment => ({
+    start: Math.floor(segment.start),
+    end: Math.floor(segment.end),
+    startFormatted: formatTimestamp(segment.start),
+    endFormatted: formatTimestamp(segment.end),
+    reason: segment.reason || ''
+  }));
+  const timeSavedSeconds = estimateTimeSaved(verdict?.decision, segments, duration);
+
+  return {
+    decision: verdict?.decision || 'skim',
+    score: verdict?.score ?? 50,
+    timeSavedSeconds,
+    timeSavedFormatted: formatTimestamp(timeSavedSeconds),
+    segments,
+    audience: verdict?.audience || []
+  };
+}
+
+function normalizeAnalysis(parsed, duration) {
+  // Ensure all required fields exist with defaults
+  const result = {
+    tldr: parsed.tldr || '',
+    keyTopics: Array.isArray(parsed.keyTopics) ? parsed.keyTopics : [],
+    chapters: normalizeChapters(parsed.chapters),
+    keyTakeaways: Array.isArray(parsed.keyTakeaways) ? parsed.keyTakeaways : [],
+    shouldWatch: parsed.shouldWatch || '',
+    verdict: normalizeVerdict(parsed.verdict, duration)
+  };
+
+  return result;
+}
+
+// Asks for the analysis through the tool, validates it, and on failure
+// retries once with the validation errors fed back to the model.
+async function requestValidAnalysis(prompt, { duration, onText, onRetry, fixup }) {
+  const analysis = await completeValidTool(prompt, ANALYSIS_TOOL, {
+    label: 'analysis',
+    validate: input => validateAnalysis(input, { duration }),
+    prepare: fixup,
+    maxTokens: 3000,
+    onText,
+    // A stream restarted after an overload starts a fresh object too
+    onRestart: () => onRetry?.(['The AI was overloaded, trying again']),
+    onRetry
+  });
+  return normalizeAnalysis(analysis, duration);
+}
+
+export async function analyzeWithClaude(transcriptText, videoInfo, {
+  duration,
+  transcriptLanguage,
+  outputLanguage = DEFAULT_OUTPUT_LANGUAGE,
+  profile,
+  onText,
+  onRetry
+} = {}) {
+  const prompt = fillTemplate(ANALYSIS_PROMPT, {
+    title: videoInfo.title,
+    channelTitle: videoInfo.channelTitle,
+    duration: formatDuration(videoInfo.duration),
+    language: languageInstruction(transcriptLanguage, outputLanguage),
+    transcript: transcriptText,
+    profile: profileInstruction(profile)
+  });
+
+  return requestValidAnalysis(prompt, { duration: duration || videoInfo.duration, onText, onRetry });
+}
+
+// Map-reduce for transcripts that don't fit one prompt: summarize each time
+// window, then merge the partial results into the usual analysis shape.
+export async function analyzeLongTranscript(segments, videoInfo, {
+  duration,
+  transcriptLanguage,
+  outputLanguage = DEFAULT_OUTPUT_LANGUAGE,
+  profile,
+  onText,
+  onRetry
+} = {}) {
+  const chunks = splitTranscript(segments);
+  console.log(`Long transcript, analyzing in ${chunks.length} chunks...`);
+
+  const language = languageInstruction(transcriptLanguage, outputLanguage);
+  const summaries = await summarizeChunks(chunks, videoInfo, { language });
+
+  const prompt = fillTemplate(MERGE_PROMPT, {
+    title: videoInfo.title,
+    channelTitle: videoInfo.channelTitle,
+    duration: formatDuration(videoInfo.duration),
+    language,
+    sections: formatChunkSummaries(summaries),
+    profile: profileInstruction(profile)
+  });
+
+  return requestValidAnalysis(prompt, {
+    duration: duration || videoInfo.duration,
+    onText,
+    onRetry,
+    fixup: input => Array.isArray(input.chapters)
+      ? { ...input, chapters: snapToCandidates(input.chapters, summaries) }
+      : input
+  });
+}
+
+// Cached transcript lookup shared by the analysis and Q&A endpoints.
+// Resolves to the cache entry: { value: getTranscript() result, hit }.
+export function loadTranscript(videoId, { transcriptLanguage, refresh = false, signal, onAttempt, throttle = task => task() } = {}) {
+  return cached(
+    `transcript:${videoId}:${transcriptLanguage || 'auto'}`,
+    TRANSCRIPT_TTL,
+    () => throttle(() => getTranscript(videoId, { lang: transcriptLanguage, signal, onAttempt })),
+    { refresh }
+  );
+}
+
+function formatVideoHeader(videoId, videoInfo, totalDuration = 0) {
+  return {
+    videoId,
+    title: videoInfo.title || 'Unknown Title',
+    channelTitle: videoInfo.channelTitle || 'Unknown Channel',
+    duration: formatDuration(videoInfo.duration || totalDuration),
+    durationSeconds: videoInfo.duration || totalDuration,
+    viewCount: formatViewCount(videoInfo.viewCount || '0'),
+    // null when no source has it (only the Data API does)
+    likeCount: videoInfo.likeCount ? formatViewCount(videoInfo.likeCount) : null,
+    publishedAt: formatDate(videoInfo.publishedAt || new Date().toISOString()),
+    metadataSource: videoInfo.source || null
+  };
+}
+
+// The full pipeline shared by api/analyze.js and server.js. onProgress(event, data)
+// receives 'metadata', 'provider', 'analyzing', 'token' and 'retry' events as each stage runs.
+// transcriptLanguage is a preferred caption language; outputLanguage is the
+// language the analysis is written in, whatever the captions were.
+// profile (see normalizeProfile) personalizes the verdict and is part of the cache key.
+// throttle.transcript / throttle.analysis wrap the provider and Claude stages
+// (e.g. with a createLimiter() limit) so batch jobs can cap each separately.
+// includeTranscript adds the cleaned [{ timestamp, text }] lines as `transcript`.
+// signal (see abortOnDisconnect) cancels transcript fetching and skips Claude
+// once the client has gone.
+// Generic (non-personalized) results are also saved as the video's permalink.
+export async function analyzeVideo(videoId, {
+  refresh = false,
+  includeTranscript = false,
+  transcriptLanguage,
+  outputLanguage = DEFAULT_OUTPUT_LANGUAGE,
+  profile = null,
+  signal,
+  onProgress,
+  throttle = {}
+} = {}) {
+  const emit = onProgress || (() => {});
+  const runTranscript = throttle.transcript || (task => task());
+  const runAnalysis = throttle.analysis || (task => task());
+
+  // Get video info from the first metadata sources that have it
+  const videoInfo = await getVideoInfo(videoId, { signal });
+  emit('metadata', formatVideoHeader(videoId, videoInfo));
+
+  // Get transcript from the first provider that succeeds
+  const transcriptEntry = await loadTranscript(videoId, {
+    transcriptLanguage,
+    refresh,
+    signal,
+    onAttempt: attempt => emit('provider', attempt),
+    throttle: runTranscript
+  });
+  const { transcript, language, tracks, provider, attempts } = transcriptEntry.value;
+
+  const { fullText, segments, totalDuration } = prepareTranscriptForAnalysis(transcript);
+  // Only stream Claude's output when someone is listening for tokens
+  const onText = onProgress ? text => emit('token', { text }) : undefined;
+  const onRetry = errors => emit('retry', { errors });
+  const duration = videoInfo.duration || totalDuration;
+  const options = { duration, transcriptLanguage: language, outputLanguage, profile, onText, onRetry };
+  const audience = profile ? hash(JSON.stringify(profile)) : 'generic';
+
+  const analysisEntry = await cached(
+    `analysis:${videoId}:${ANALYSIS_VERSION}:${language || 'auto'}:${outputLanguage}:${audience}`,
+    ANALYSIS_TTL,
+    () => runAnalysis(() => {
+      signal?.throwIfAborted();
+      const long = fullText.length > LONG_TRANSCRIPT_CHARS;
+      emit('analyzing', { provider, chunked: long });
+      if (long) {
+        return analyzeLongTranscript(segments, videoInfo, options);
+      }
+      console.log('Transcript prepared, calling Claude...');
+      return analyzeWithClaude(fullText, videoInfo, options);
+    }),
+    { refresh }
+  );
+  const analysis = analysisEntry.value;
+
+  const keyTakeaways = Array.isArray(analysis.keyTakeaways) ? analysis.keyTakeaways : [];
+  // Translated text can't be matched word for word against the transcript
+  const sameLanguage = baseLanguage(language) === baseLanguage(outputLanguage);
+
+  // Ensure response has all required fields with proper defaults
+  const response = {
+    ...formatVideoHeader(videoId, videoInfo, totalDuration),
+    tldr: analysis.tldr || '',
+    keyTopics: Array.isArray(analysis.keyTopics) ? analysis.keyTopics : [],
+    chapters: groundChapters(Array.isArray(analysis.chapters) ? analysis.chapters : [], segments, {
+      checkKeywords: sameLanguage
+    }),
+    keyTakeaways,
+    // Where each takeaway is said, in seconds (null when it couldn't be found)
+    takeawayTimestamps: sameLanguage ? locateTakeaways(keyTakeaways, segments) : keyTakeaways.map(() => null),
+    shouldWatch: analysis.shouldWatch || '',
+    verdict: analysis.verdict,
+    transcriptLanguage: language,
+    outputLanguage,
+    personalized: Boolean(profile),
+    captionTracks: tracks,
+    transcriptProvider: provider,
+    transcriptAttempts: attempts,
+    metadataAttempts: videoInfo.attempts,
+    cache: {
+      transcript: transcriptEntry.hit ? 'hit' : 'miss',
+      analysis: analysisEntry.hit ? 'hit' : 'miss'
+    },
+    permalink: profile ? null : permalinkPath(videoId, outputLanguage)
+  };
+
+  // The permalink copy keeps the transcript so the shared page has it too.
+  // A cached analysis was saved when it was made, and nobody waits on the write.
+  const transcriptLines = cleanSegments(segments);
+  if (!analysisEntry.hit) {
+    savePermalink({ ...response, transcript: transcriptLines }).catch(error => {
+      console.error('Permalink save error:', error.message);
+    });
+  }
+
+  return includeTranscript ? { ...response, transcript: transcriptLines } : response;
+}
@@ -0,0 +1,157 @@
+import { anthropic, MODEL, fillTemplate } from './claude.js';
+import { loadTranscript, prepareTranscriptForAnalysis } from './analyze.js';
+import { LONG_TRANSCRIPT_CHARS, splitTranscript } from './chunking.js';
+import { extractKeywords, stem, nearestSegmentIndex } from './grounding.js';
+import { formatTimestamp } from './format.js';
+import { DEFAULT_OUTPUT_LANGUAGE, languageName } from './language.js';
+import { AppError } from './errors.js';
+
+export const MAX_HISTORY_MESSAGES = 10;
+export const MAX_QUESTION_LENGTH = 500;
+const CONTEXT_CHUNK_SECONDS = 300;
+
+export const ANSWER_TOOL = {
+  name: 'record_answer',
+  description: 'Record the answer to the viewer\'s question with supporting transcript lines.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      answer: {
+        type: 'string',
+        description: 'Direct answer in 1-4 short sentences. Bold key phrases using **text** markdown. Say plainly when the video does not cover it.'
+      },
+      citations: {
+        type: 'array',
+        maxItems: 5,
+        description: 'Transcript lines that support the answer, in order',
+        items: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'integer', minimum: 0, description: 'Seconds, from the [m:ss] marker of the cited line' },
+            quote: { type: 'string', description: 'The cited words, copied from the transcript' }
+          },
+          required: ['timestamp', 'quote']
+        }
+      }
+    },
+    required: ['answer', 'citations']
+  }
+};
+
+const ASK_SYSTEM_PROMPT = `You answer questions about a YouTube video using only its transcript, so viewers can decide without watching.
+
+Video Title: {{title}}
+
+Here is the transcript with timestamps{{excerptNote}}:
+
+{{transcript}}
+
+Rules:
+- Answer only from the transcript; if it isn't covered, say so
+- Cite the transcript lines that support the answer
+- Write the answer in {{outputLanguage}}
+- Record the answer with the ${ANSWER_TOOL.name} tool`;
+
+// For transcripts too long for one prompt, keep the windows that share the
+// most keywords with the conversation, in their original order.
+function selectContext(segments, fullText, query) {
+  if (fullText.length <= LONG_TRANSCRIPT_CHARS) {
+    return { text: fullText, excerpted: false };
+  }
+
+  const keywords = extractKeywords(query).map(stem);
+  const chunks = splitTranscript(segments, CONTEXT_CHUNK_SECONDS).map(chunk => {
+    const words = new Set(chunk.text.toLowerCase().split(/[^\p{L}\p{N}]+/u).map(stem));
+    return { chunk, score: keywords.filter(keyword => words.has(keyword)).length };
+  });
+
+  const selected = [];
+  let length = 0;
+  for (const { chunk } of [...chunks].sort((a, b) => b.score - a.score)) {
+    if (length + chunk.text.length > LONG_TRANSCRIPT_CHARS) break;
+    selected.push(chunk);
+    length += chunk.text.length;
+  }
+
+  return {
+    text: selected.sort((a, b) => a.start - b.start).map(chunk => chunk.text).join('\n...\n'),
+    excerpted: true
+  };
+}
+
+function cleanHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .filter(message =>
+      message && (message.role === 'user' || message.role === 'assistant')
+      && typeof message.content === 'string' && message.content.trim()
+    )
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map(message => ({ role: message.role, content: message.content.slice(0, 4000) }));
+}
+
+// Pins each citation to a real transcript line so jump links land on it
+function groundCitations(citations, segments) {
+  if (!Array.isArray(citations) || segments.length === 0) return [];
+
+  return citations
+    .filter(citation => citation && typeof citation.timestamp === 'number')
+    .map(citation => {
+      const segment = segments[nearestSegmentIndex(segments, citation.timestamp)];
+      return {
+        timestamp: segment.timestamp,
+        timestampFormatted: formatTimestamp(segment.timestamp),
+        quote: citation.quote || '',
+        text: segment.text
+      };
+    });
+}
+
+// history is the earlier turns as [{ role: 'user' | 'assistant', content }]
+export async function askVideo(videoId, question, {
+  title = '',
+  history = [],
+  transcriptLanguage,
+  outputLanguage = DEFAULT_OUTPUT_LANGUAGE,
+  signal
+} = {}) {
+  const { value } = await loadTranscript(videoId, { transcriptLanguage, signal });
+  signal?.throwIfAborted();
+  const { fullText, segments } = prepareTranscriptForAnalysis(value.transcript);
+
+  const turns = cleanHistory(history);
+  const query = [...turns.filter(turn => turn.role === 'user').map(turn => turn.content), question].join(' ');
+  const context = selectContext(segments, fullText, query);
+
+  const system = fillTemplate(ASK_SYSTEM_PROMPT, {
+    title: title || 'Unknown',
+    excerptNote: context.excerpted ? ' (only the parts most relevant to the question)' : '',
+    outputLanguage: languageName(outputLanguage),
+    transcript: context.text
+  });
+
+  // Consecutive turns from the same role are merged by the API, so a history
+  // that ends on a user turn is still valid
+  const message = await anthropic.messages.create({
+    model: MODEL,
+    max_tokens: 1000,
+    system,
+    tools: [ANSWER_TOOL],
+    tool_choice: { type: 'tool', name: ANSWER_TOOL.name },
+    messages: [...turns, { role: 'user', content: question }]
+  });
+
+  const toolUse = message.content.find(block => block.type === 'tool_use');
+  if (!toolUse || typeof toolUse.input?.answer !== 'string') {
+    throw new AppError('LLM_BAD_OUTPUT', 'The AI returned an incomplete answer. Please try again.');
+  }
+
+  return {
+    videoId,
+    question,
+    answer: toolUse.input.answer,
+    citations: groundCitations(toolUse.input.citations, segments),
+    transcriptLanguage: value.language
+  };
+}
@@ -0,0 +1,218 @@
+import { randomUUID } from 'crypto';
+import { analyzeVideo } from './analyze.js';
+import { youtubeApiError } from './metadata.js';
+import { getCacheStore } from './cache.js';
+import { createLimiter } from './limit.js';
+import { AppError, toErrorResponse } from './errors.js';
+import { upstream, isFixtureMode } from './upstream.js';
+import { httpFetch } from './http.js';
+
+export const DEFAULT_BATCH_SIZE = 25;
+export const MAX_BATCH_SIZE = 50;
+const JOB_TTL = 7 * 24 * 3600;
+
+// Shared by every job in this process so parallel batches can't stampede
+// the transcript providers or Anthropic
+const transcriptLimit = createLimiter(parseInt(process.env.BATCH_TRANSCRIPT_CONCURRENCY || '') || 3);
+const analysisLimit = createLimiter(parseInt(process.env.BATCH_ANALYSIS_CONCURRENCY || '') || 2);
+
+// Recognizes playlist URLs (?list=) and channel URLs (/channel/UC..., /@handle,
+// /c/name, /user/name). Returns null for anything else.
+export function parseCollectionUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch (e) {
+    return null;
+  }
+
+  if (!/(^|\.)youtube\.com$/.test(url.hostname)) return null;
+
+  const list = url.searchParams.get('list');
+  if (list) return { type: 'playlist', id: list };
+
+  const channel = url.pathname.match(/^\/channel\/(UC[\w-]{22})/);
+  if (channel) return { type: 'channel', id: channel[1] };
+
+  const handle = url.pathname.match(/^\/(@[\w.-]+)/);
+  if (handle) return { type: 'handle', id: handle[1] };
+
+  const user = url.pathname.match(/^\/(?:c|user)\/([\w.-]+)/);
+  if (user) return { type: 'username', id: user[1] };
+
+  return null;
+}
+
+// Playlists and channels can only be listed through the Data API; the
+// fixture server answers without a key
+export function canExpandCollections() {
+  return Boolean(process.env.YOUTUBE_API_KEY) || isFixtureMode();
+}
+
+async function youtubeApi(path, params) {
+  const query = new URLSearchParams({ ...params, key: process.env.YOUTUBE_API_KEY });
+  const response = await httpFetch(`${upstream('youtube-api')}/youtube/v3/${path}?${query}`);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw youtubeApiError(response.status, data);
+  }
+  return data;
+}
+
+async function getUploadsPlaylistId(collection) {
+  const lookup = {
+    channel: { id: collection.id },
+    handle: { forHandle: collection.id },
+    username: { forUsername: collection.id }
+  }[collection.type];
+
+  const data = await youtubeApi('channels', { part: 'contentDetails', ...lookup });
+  const uploads = data.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
+
+  if (!uploads) {
+    throw new AppError('NOT_FOUND', 'Channel not found');
+  }
+  return uploads;
+}
+
+export async function expandCollection(collection, limit = DEFAULT_BATCH_SIZE) {
+  const playlistId = collection.type === 'playlist'
+    ? collection.id
+    : await getUploadsPlaylistId(collection);
+
+  const videoIds = [];
+  let pageToken;
+
+  do {
+    const data = await youtubeApi('playlistItems', {
+      part: 'contentDetails',
+      playlistId,
+      maxResults: '50',
+      ...(pageToken ? { pageToken } : {})
+    });
+
+    for (const item of data.items || []) {
+      const videoId = item.contentDetails?.videoId;
+      if (videoId && !videoIds.includes(videoId)) {
+        videoIds.push(videoId);
+      }
+    }
+    pageToken = data.nextPageToken;
+  } while (pageToken && videoIds.length < limit);
+
+  if (videoIds.length === 0) {
+    throw new AppError('NOT_FOUND', 'Playlist not found or empty');
+  }
+
+  return videoIds.slice(0, limit);
+}
+
+// Higher is more worth watching. Analyses cached before the structured
+// verdict existed fall back to reading the shouldWatch prose.
+export function verdictScore(result) {
+  if (typeof result?.verdict?.score === 'number') {
+    return result.verdict.score;
+  }
+
+  const verdict = (result?.shouldWatch || '').toLowerCase();
+  if (/\b(skip|don'?t watch|not worth|avoid)\b/.test(verdict)) return 20;
+  if (/\b(skim|optional|only if|partially)\b/.test(verdict)) return 50;
+  if (/\b(must[- ]watch|highly recommend|definitely watch|worth watching|essential)\b/.test(verdict)) return 85;
+  return 60;
+}
+
+export function rankItems(items) {
+  return items
+    .filter(item => item.status === 'completed')
+    .map(item => ({
+      videoId: item.videoId,
+      title: item.result.title,
+      duration: item.result.duration,
+      score: verdictScore(item.result),
+      decision: item.result.verdict?.decision || null,
+      timeSavedSeconds: item.result.verdict?.timeSavedSeconds ?? null,
+      shouldWatch: item.result.shouldWatch
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+const jobKey = id => `job:${id}`;
+const pendingSaves = new Map();
+
+// Saves run one after another per job so a slow write can't land after a newer one
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const snapshot = JSON.parse(JSON.stringify(job));
+  const previous = pendingSaves.get(job.id) || Promise.resolve();
+  const next = previous
+    .then(() => getCacheStore().set(jobKey(job.id), snapshot, JOB_TTL))
+    .catch(e => console.error('Job save error:', e.message));
+  pendingSaves.set(job.id, next);
+  return next;
+}
+
+export async function getJob(id) {
+  return getCacheStore().get(jobKey(id));
+}
+
+async function runItem(job, item, options) {
+  item.status = 'running';
+  await saveJob(job);
+
+  try {
+    item.result = await analyzeVideo(item.videoId, {
+      ...options,
+      throttle: { transcript: transcriptLimit, analysis: analysisLimit }
+    });
+    item.status = 'completed';
+  } catch (error) {
+    console.error(`Batch item ${item.videoId} failed:`, error.message);
+    item.status = 'failed';
+    const { body } = toErrorResponse(error);
+    item.error = body.message;
+    item.errorCode = body.code;
+  }
+
+  job.ranking = rankItems(job.items);
+  await saveJob(job);
+}
+
+async function runJob(job, options) {
+  job.status = 'running';
+  await saveJob(job);
+
+  await Promise.all(job.items.map(item => runItem(job, item, options)));
+
+  job.status = job.items.some(item => item.status === 'completed') ? 'completed' : 'failed';
+  await saveJob(job);
+  pendingSaves.delete(job.id);
+  return job;
+}
+
+// Expands the collection (unless the caller already did and passes videoIds),
+// persists a queued job and starts it. Returns the job and a promise that
+// settles when every item is done.
+export async function createBatchJob(url, { limit = DEFAULT_BATCH_SIZE, videoIds, ...options } = {}) {
+  const collection = parseCollectionUrl(url);
+  if (!collection) {
+    throw new AppError('BAD_REQUEST', 'Not a YouTube playlist or channel URL');
+  }
+
+  videoIds ??= await expandCollection(collection, Math.max(1, Math.min(limit, MAX_BATCH_SIZE)));
+  const now = new Date().toISOString();
+
+  const job = {
+    id: randomUUID(),
+    source: { url, ...collection },
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    items: videoIds.map(videoId => ({ videoId, status: 'queued' })),
+    ranking: []
+  };
+  await saveJob(job);
+
+  const done = runJob(job, options);
+  return { job, done };
+}
@@ -0,0 +1,143 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, unlink } from 'fs/promises';
+import { join } from 'path';
+import { createKvStore, isKvConfigured } from './kv.js';
+
+// A store is any object with async get(key), set(key, value, ttlSeconds)
+// and delete(key). Serverless instances don't share memory, so the default is
+// the KV store (lib/kv.js) when KV_REST_API_URL/KV_REST_API_TOKEN are set;
+// otherwise it only lives as long as the instance. server.js and the CLI
+// plug in a file store through setCacheStore().
+// Rate-limit counters (lib/ratelimit.js) also need increment(key, ttlSeconds,
+// amount), which the memory store and the KV store (lib/kv.js) provide.
+
+export const TRANSCRIPT_TTL = parseInt(process.env.CACHE_TRANSCRIPT_TTL || '') || 7 * 24 * 3600;
+export const ANALYSIS_TTL = parseInt(process.env.CACHE_ANALYSIS_TTL || '') || 30 * 24 * 3600;
+export const PERMALINK_TTL = parseInt(process.env.CACHE_PERMALINK_TTL || '') || 365 * 24 * 3600;
+
+export function hash(value) {
+  return createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+function expiresAt(ttlSeconds) {
+  return ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+}
+
+function isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+}
+
+export function createMemoryStore() {
+  const entries = new Map();
+  let writes = 0;
+
+  // Counters are written under a new key every window, so sweep expired ones
+  // now and then instead of letting a long-running server accumulate them
+  function sweep() {
+    if (++writes % 1000 !== 0) return;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: expiresAt(ttlSeconds) });
+      sweep();
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    // The TTL only applies when the counter is created, so a window's expiry
+    // doesn't move with every hit
+    async increment(key, ttlSeconds, amount = 1) {
+      const entry = entries.get(key);
+      if (!entry || isExpired(entry)) {
+        entries.set(key, { value: amount, expiresAt: expiresAt(ttlSeconds) });
+        sweep();
+        return amount;
+      }
+      entry.value += amount;
+      return entry.value;
+    }
+  };
+}
+
+export function createFileStore(dir) {
+  const pathFor = key => join(dir, `${hash(key)}.json`);
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(pathFor(key), 'utf-8'));
+      } catch (e) {
+        return undefined;
+      }
+      if (entry.key !== key) return undefined;
+      if (isExpired(entry)) {
+        await unlink(pathFor(key)).catch(() => {});
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(pathFor(key), JSON.stringify({ key, value, expiresAt: expiresAt(ttlSeconds) }));
+    },
+
+    async delete(key) {
+      await unlink(pathFor(key)).catch(() => {});
+    }
+  };
+}
+
+let store = null;
+
+export function setCacheStore(newStore) {
+  store = newStore;
+}
+
+export function getCacheStore() {
+  if (!store) {
+    store = isKvConfigured() ? createKvStore() : createMemoryStore();
+  }
+  return store;
+}
+
+// Returns { value, hit }. A failing store never fails the request.
+export async function cached(key, ttlSeconds, compute, { refresh = false } = {}) {
+  if (!refresh) {
+    try {
+      const value = await getCacheStore().get(key);
+      if (value !== undefined) {
+        return { value, hit: true };
+      }
+    } catch (e) {
+      console.error('Cache read error:', e.message);
+    }
+  }
+
+  const value = await compute();
+
+  try {
+    await getCacheStore().set(key, value, ttlSeconds);
+  } catch (e) {
+    console.error('Cache write error:', e.message);
+  }
+
+  return { value, hit: false };
+}
@@ -0,0 +1,11 @@
+// An AbortSignal that fires when the client goes away before the response is
+// finished, so yt-dlp runs and other queued work for it can stop
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on?.('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new DOMException('Client disconnected', 'AbortError'));
+    }
+  });
+  return controller.signal;
+}
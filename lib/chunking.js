@@ -0,0 +1,143 @@
+import { completeValidTool, fillTemplate } from './claude.js';
+import { CHUNK_SUMMARY_TOOL, validateChunkSummary } from './schema.js';
+import { createLimiter } from './limit.js';
+import { formatTimestamp } from './format.js';
+
+// Transcripts longer than this (in prompt characters) are analyzed in windows
+export const LONG_TRANSCRIPT_CHARS = parseInt(process.env.LONG_TRANSCRIPT_CHARS || '') || 80000;
+export const CHUNK_SECONDS = parseInt(process.env.CHUNK_SECONDS || '') || 900;
+const CHUNK_CONCURRENCY = 3;
+
+export const CHUNK_PROMPT = `You are summarizing one section of a longer YouTube video transcript. The section summaries will later be merged into a single analysis.
+
+Video Title: {{title}}
+Channel: {{channelTitle}}
+Section: {{start}} - {{end}} (part {{part}} of {{parts}})
+{{language}}
+
+Here is the transcript for this section with timestamps:
+
+{{transcript}}
+
+Record your summary of this section with the ${CHUNK_SUMMARY_TOOL.name} tool.
+
+Important rules:
+- summary: concrete, no filler
+- keyPoints: 3-6 items
+- chapters: 1-5 points where a new topic starts in this section
+- chapter timestamps are in seconds, taken from the [m:ss] markers above, between {{start}} and {{end}}`;
+
+function endsSentence(text) {
+  return /[.!?…]["')\]]?$/.test(text.trim());
+}
+
+function toChunk(segments, index) {
+  return {
+    index,
+    start: segments[0].timestamp,
+    end: segments[segments.length - 1].timestamp,
+    segments,
+    text: segments.map(s => `[${formatTimestamp(s.timestamp)}] ${s.text}`).join('\n')
+  };
+}
+
+// Split into ~windowSeconds windows, closing each window on a sentence end.
+// Auto-generated captions often have no punctuation, so a window is forced
+// closed once it runs 25% past the target.
+export function splitTranscript(segments, windowSeconds = CHUNK_SECONDS) {
+  const chunks = [];
+  let current = [];
+
+  for (const segment of segments) {
+    current.push(segment);
+    const elapsed = segment.timestamp - current[0].timestamp;
+
+    if ((elapsed >= windowSeconds && endsSentence(segment.text)) || elapsed >= windowSeconds * 1.25) {
+      chunks.push(toChunk(current, chunks.length));
+      current = [];
+    }
+  }
+
+  if (current.length > 0) {
+    chunks.push(toChunk(current, chunks.length));
+  }
+
+  // A chunk runs until the next one starts so boundary chapters stay in range
+  for (let i = 0; i < chunks.length - 1; i++) {
+    chunks[i].end = chunks[i + 1].start;
+  }
+
+  return chunks;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+async function summarizeChunk(chunk, count, videoInfo, language) {
+  const prompt = fillTemplate(CHUNK_PROMPT, {
+    title: videoInfo.title,
+    channelTitle: videoInfo.channelTitle,
+    start: formatTimestamp(chunk.start),
+    end: formatTimestamp(chunk.end),
+    part: chunk.index + 1,
+    parts: count,
+    language,
+    transcript: chunk.text
+  });
+
+  const parsed = await completeValidTool(prompt, CHUNK_SUMMARY_TOOL, {
+    label: 'section summary',
+    validate: validateChunkSummary,
+    maxTokens: 1200
+  });
+
+  return {
+    start: chunk.start,
+    end: chunk.end,
+    summary: parsed.summary,
+    keyPoints: parsed.keyPoints,
+    chapters: parsed.chapters.map(chapter => ({
+      timestamp: clamp(Math.floor(chapter.timestamp), chunk.start, chunk.end),
+      title: chapter.title
+    }))
+  };
+}
+
+export async function summarizeChunks(chunks, videoInfo, { language = '' } = {}) {
+  const limit = createLimiter(CHUNK_CONCURRENCY);
+  return Promise.all(chunks.map(chunk => limit(() => summarizeChunk(chunk, chunks.length, videoInfo, language))));
+}
+
+export function formatChunkSummaries(summaries) {
+  return summaries.map((part, i) => {
+    const lines = [
+      `## Part ${i + 1} (${formatTimestamp(part.start)} - ${formatTimestamp(part.end)})`,
+      part.summary,
+      'Key points:',
+      ...part.keyPoints.map(point => `- ${point}`),
+      'Candidate chapters:',
+      ...part.chapters.map(chapter => `- timestamp ${chapter.timestamp} (${formatTimestamp(chapter.timestamp)}): ${chapter.title}`)
+    ];
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+// The merge step may round or invent timestamps; pin each chapter to the
+// closest candidate that came from a chunk. Chapters that land on the same
+// candidate collapse into the first of them, so timestamps keep increasing.
+export function snapToCandidates(chapters, summaries) {
+  const candidates = summaries.flatMap(part => part.chapters.map(chapter => chapter.timestamp));
+  if (candidates.length === 0) return chapters;
+
+  const snapped = chapters.map(chapter => {
+    const timestamp = Number(chapter?.timestamp) || 0;
+    const nearest = candidates.reduce((best, candidate) =>
+      Math.abs(candidate - timestamp) < Math.abs(best - timestamp) ? candidate : best
+    );
+    return { ...chapter, timestamp: nearest };
+  });
+
+  snapped.sort((a, b) => a.timestamp - b.timestamp);
+  return snapped.filter((chapter, i) => i === 0 || chapter.timestamp !== snapped[i - 1].timestamp);
+}
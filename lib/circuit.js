@@ -0,0 +1,35 @@
+// A circuit breaker for an upstream that keeps failing: after `threshold`
+// failures in a row it opens and allow() refuses calls for `cooldown` ms.
+// Then one call is let through as a probe; success closes the circuit, a
+// failure keeps it open for another cooldown. A probe that never reports
+// back just lets the next probe through a cooldown later.
+export function createCircuitBreaker({ threshold = 3, cooldown = 60000, now = Date.now } = {}) {
+  let failures = 0;
+  let openedAt = null;
+
+  return {
+    allow() {
+      if (openedAt === null) return true;
+      if (now() - openedAt < cooldown) return false;
+      openedAt = now();
+      return true;
+    },
+
+    success() {
+      failures = 0;
+      openedAt = null;
+    },
+
+    failure() {
+      failures++;
+      if (failures >= threshold) {
+        openedAt = now();
+      }
+    },
+
+    // Seconds until the next probe, or 0 when calls go through
+    retryIn() {
+      return openedAt === null ? 0 : Math.max(0, Math.ceil((openedAt + cooldown - now()) / 1000));
+    }
+  };
+}
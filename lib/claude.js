@@ -0,0 +1,118 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { upstream, isFixtureMode } from './upstream.js';
+import { AnalysisValidationError } from './schema.js';
+import { withRetries, backoffDelay } from './http.js';
+
+// The SDK retries 429s and 5xx responses (529 overloaded included) itself,
+// with backoff that honors Retry-After. The default 10 minute timeout would
+// outlast any serverless function, so it's capped per attempt.
+const TIMEOUT_MS = (parseInt(process.env.ANTHROPIC_TIMEOUT || '') || 120) * 1000;
+const configuredRetries = parseInt(process.env.ANTHROPIC_MAX_RETRIES || '');
+const MAX_RETRIES = configuredRetries >= 0 ? configuredRetries : 3;
+
+// The fixture server ignores credentials, so any key will do there
+export const anthropic = new Anthropic({
+  apiKey: process.env.ANTHROPIC_API_KEY || (isFixtureMode() ? 'fixture' : undefined),
+  timeout: TIMEOUT_MS,
+  maxRetries: MAX_RETRIES,
+  ...(isFixtureMode() && { baseURL: upstream('anthropic') })
+});
+
+// Overload can also arrive as an error event in a stream that already
+// started with a 200, which the SDK passes straight on
+export function isStreamOverloaded(error) {
+  return error instanceof Anthropic.APIError && !error.status && /overloaded_error/.test(error.message);
+}
+
+// Runs one Messages API call, restarting a stream that was cut off by an
+// overloaded error. onRestart lets streaming callers drop the partial output.
+function withOverloadRetries(call, onRestart) {
+  return withRetries(async attempt => {
+    if (attempt > 0) onRestart?.();
+    return call();
+  }, {
+    retries: MAX_RETRIES,
+    label: 'Claude stream',
+    // Overload takes longer to clear than a dropped connection: wait 2s, 4s...
+    retryDelay: (error, attempt) => isStreamOverloaded(error) ? backoffDelay(attempt + 2) : null
+  });
+}
+
+export const MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+
+export function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+// Forces a call to `tool` and returns its input. With onText, the tool input
+// JSON is streamed and each partial chunk is passed along.
+export async function completeWithTool(messages, tool, { maxTokens = 2500, onText, onRestart } = {}) {
+  const params = {
+    model: MODEL,
+    max_tokens: maxTokens,
+    tools: [tool],
+    tool_choice: { type: 'tool', name: tool.name },
+    messages
+  };
+
+  const message = onText
+    ? await withOverloadRetries(() => anthropic.messages.stream(params).on('inputJson', delta => onText(delta)).finalMessage(), onRestart)
+    : await anthropic.messages.create(params);
+
+  const toolUse = message.content.find(block => block.type === 'tool_use');
+
+  return {
+    message,
+    toolUse,
+    input: toolUse ? toolUse.input : null,
+    truncated: message.stop_reason === 'max_tokens'
+  };
+}
+
+const MAX_TOOL_ATTEMPTS = 2;
+
+// Asks for `tool`'s input, runs it through prepare() and validate() (a list of
+// problems, empty when valid) and on failure retries once with the problems
+// fed back to the model. Resolves to the prepared input. `label` names what
+// is asked for in the feedback and logs, e.g. "analysis".
+export async function completeValidTool(prompt, tool, {
+  label,
+  validate,
+  prepare = input => input,
+  maxTokens,
+  onText,
+  onRestart,
+  onRetry
+}) {
+  let messages = [{ role: 'user', content: prompt }];
+
+  for (let attempt = 1; ; attempt++) {
+    const { message, toolUse, input, truncated } = await completeWithTool(messages, tool, { maxTokens, onText, onRestart });
+
+    const prepared = input ? prepare(input) : null;
+    const errors = validate(prepared);
+    if (truncated) {
+      errors.unshift(`The response was cut off before the ${label} was complete; keep it shorter`);
+    }
+
+    if (errors.length === 0) {
+      return prepared;
+    }
+
+    if (attempt >= MAX_TOOL_ATTEMPTS) {
+      throw new AnalysisValidationError(errors);
+    }
+
+    console.warn(`The ${label} failed validation, retrying:`, errors.join('; '));
+    onRetry?.(errors);
+
+    const feedback = `The ${label} was rejected:\n${errors.map(error => `- ${error}`).join('\n')}\n\nCall ${tool.name} again with a corrected ${label}.`;
+    messages = toolUse
+      ? [
+        ...messages,
+        { role: 'assistant', content: message.content },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: feedback }] }
+      ]
+      : [{ role: 'user', content: `${prompt}\n\n${feedback}` }];
+  }
+}
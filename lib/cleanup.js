@@ -0,0 +1,46 @@
+// Readable transcript for the client: caption noise removed and the
+// repetition of rolling auto-captions collapsed.
+
+// Cues like [Music] or (applause) that carry no speech
+const SOUND_CUE = /\[[^\]]*\]|\((?:music|applause|laughter|laughs|inaudible)\)|[♪♫]+/gi;
+
+function words(text) {
+  return text.split(' ');
+}
+
+// Auto-captions repeat the tail of the previous line at the start of the
+// next; return how many leading words of next are already in previous.
+function overlapLength(previous, next) {
+  const max = Math.min(previous.length, next.length);
+  for (let size = max; size > 0; size--) {
+    if (previous.slice(-size).join(' ').toLowerCase() === next.slice(0, size).join(' ').toLowerCase()) {
+      return size;
+    }
+  }
+  return 0;
+}
+
+// segments: [{ timestamp, text }] as built by prepareTranscriptForAnalysis
+export function cleanSegments(segments) {
+  const cleaned = [];
+
+  for (const segment of segments) {
+    let text = segment.text.replace(SOUND_CUE, ' ').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    const previous = cleaned[cleaned.length - 1];
+    if (previous) {
+      const next = words(text);
+      const overlap = overlapLength(words(previous.text), next);
+      // A single shared word is usually a coincidence ("the", "so")
+      if (overlap === next.length || overlap >= 2) {
+        text = next.slice(overlap).join(' ');
+      }
+      if (!text) continue;
+    }
+
+    cleaned.push({ timestamp: segment.timestamp, text });
+  }
+
+  return cleaned;
+}
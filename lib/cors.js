@@ -0,0 +1,41 @@
+import { RATE_LIMIT_HEADERS } from './ratelimit.js';
+
+// CORS_ORIGINS=https://a.example,https://b.example limits the API to those
+// browser origins (plus the site itself); unset or * allows any origin.
+function allowedOrigins() {
+  return (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+function isSameOrigin(origin, host) {
+  try {
+    return Boolean(host) && new URL(origin).host === host;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Sets the CORS headers for a handler. Returns false for a browser request
+// from an origin outside the allow-list, which the handler should refuse:
+// CORS alone only hides the response, the analysis would still run.
+export function applyCors(req, res, methods) {
+  const origins = allowedOrigins();
+  const origin = req.headers?.origin;
+
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, X-API-Key');
+  res.setHeader('Access-Control-Expose-Headers', [...RATE_LIMIT_HEADERS, 'X-Request-Id'].join(', '));
+
+  if (origins.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return true;
+  }
+
+  res.setHeader('Vary', 'Origin');
+  if (!origin) return true;
+
+  if (origins.includes(origin) || isSameOrigin(origin, req.headers?.host)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    return true;
+  }
+  return false;
+}
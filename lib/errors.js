@@ -0,0 +1,89 @@
+import { randomUUID } from 'crypto';
+import Anthropic from '@anthropic-ai/sdk';
+import { ChapterExportError } from './shared/chapters.js';
+
+// Every error response has the same shape:
+//   { code, message, retryable, requestId, ...details }
+// code is one of ERROR_CODES and safe to branch on; message is written for
+// the person using the app, never an internal error message.
+export const ERROR_CODES = {
+  BAD_REQUEST: { status: 400, retryable: false, message: 'The request is invalid.' },
+  UNAUTHORIZED: { status: 401, retryable: false, message: 'A valid API key is required.' },
+  ORIGIN_NOT_ALLOWED: { status: 403, retryable: false, message: 'Origin not allowed' },
+  NOT_FOUND: { status: 404, retryable: false, message: 'Not found.' },
+  METHOD_NOT_ALLOWED: { status: 405, retryable: false, message: 'Method not allowed' },
+  RATE_LIMITED: { status: 429, retryable: true, message: 'Too many requests. Please wait a moment.' },
+  NO_CAPTIONS: { status: 422, retryable: false, message: 'This video does not have captions available.' },
+  VIDEO_PRIVATE: { status: 403, retryable: false, message: 'This video is private.' },
+  VIDEO_NOT_FOUND: { status: 404, retryable: false, message: 'This video does not exist or has been removed.' },
+  AGE_RESTRICTED: { status: 403, retryable: false, message: 'This video is age-restricted, so its captions can\'t be read.' },
+  LIVE_STREAM: { status: 422, retryable: false, message: 'This is a live stream or premiere that hasn\'t finished yet.' },
+  PROVIDER_QUOTA: { status: 503, retryable: true, message: 'A YouTube data provider is over its quota. Please try again later.' },
+  PROVIDER_UNAVAILABLE: { status: 503, retryable: true, message: 'The transcript services are having trouble right now. Please try again in a few minutes.' },
+  LLM_OVERLOADED: { status: 503, retryable: true, message: 'The AI is overloaded right now. Please try again in a minute.' },
+  LLM_BAD_OUTPUT: { status: 502, retryable: true, message: 'The AI returned an incomplete analysis. Please try again.' },
+  TIMEOUT: { status: 504, retryable: true, message: 'This took too long. Please try again.' },
+  CHAPTERS_UNAVAILABLE: { status: 422, retryable: false, message: 'These chapters can\'t be exported.' },
+  INTERNAL: { status: 500, retryable: true, message: 'Something went wrong. Please try again.' }
+};
+
+// An error with a code from ERROR_CODES. message defaults to the code's
+// user-facing message; details are added to the response body.
+export class AppError extends Error {
+  constructor(code, message = ERROR_CODES[code].message, { details, cause } = {}) {
+    super(message, { cause });
+    this.name = 'AppError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Anthropic answers 529 when overloaded and 429 when our account is
+// rate-limited; either way the fix is to wait
+function classifyAnthropicError(error) {
+  if (error instanceof Anthropic.APIConnectionTimeoutError) return 'TIMEOUT';
+  if (error instanceof Anthropic.APIError && [429, 503, 529].includes(error.status)) return 'LLM_OVERLOADED';
+  // Overload reported mid-stream, after a 200
+  if (error instanceof Anthropic.APIError && /overloaded_error/.test(error.message)) return 'LLM_OVERLOADED';
+  return null;
+}
+
+function classify(error) {
+  if (error instanceof AppError) {
+    return { code: error.code, message: error.message, details: error.details };
+  }
+  if (error instanceof ChapterExportError) {
+    return { code: 'CHAPTERS_UNAVAILABLE', message: error.message };
+  }
+
+  const code = classifyAnthropicError(error)
+    || (error?.name === 'TimeoutError' ? 'TIMEOUT' : null)
+    || 'INTERNAL';
+  return { code, message: ERROR_CODES[code].message };
+}
+
+// Vercel's request ID when there is one, so responses match its logs
+export function getRequestId(req) {
+  if (!req.requestId) {
+    const vercelId = req.headers?.['x-vercel-id'];
+    req.requestId = typeof vercelId === 'string' && /^[\w:.-]{1,128}$/.test(vercelId) ? vercelId : randomUUID();
+  }
+  return req.requestId;
+}
+
+// Maps any error to the { status, body } sent back to the client
+export function toErrorResponse(error, requestId = null) {
+  const { code, message, details } = classify(error);
+  const { status, retryable } = ERROR_CODES[code];
+
+  return {
+    status,
+    body: { code, message, retryable, requestId, ...details }
+  };
+}
+
+export function sendError(req, res, error) {
+  const { status, body } = toErrorResponse(error, getRequestId(req));
+  res.setHeader('X-Request-Id', body.requestId);
+  return res.status(status).json(body);
+}
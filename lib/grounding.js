@@ -0,0 +1,153 @@
+import { formatTimestamp } from './format.js';
+
+// Chapters whose title keywords don't show up near their timestamp are
+// flagged (grounded: false) or, with CHAPTER_GROUNDING=drop, removed.
+export const GROUNDING_MODE = process.env.CHAPTER_GROUNDING === 'drop' ? 'drop' : 'flag';
+
+const LOOK_BEHIND_SECONDS = 30;
+const LOOK_AHEAD_SECONDS = 90;
+const EXCERPT_LENGTH = 160;
+const TAKEAWAY_WINDOW_SECONDS = 45;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'before', 'being', 'between', 'chapter', 'could',
+  'does', 'doing', 'from', 'have', 'here', 'into', 'just', 'more', 'most', 'only',
+  'other', 'over', 'part', 'should', 'some', 'such', 'than', 'that', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'through', 'under', 'very',
+  'what', 'when', 'where', 'which', 'while', 'with', 'would', 'your', 'intro',
+  'introduction', 'outro', 'conclusion', 'final', 'thoughts', 'wrap'
+]);
+
+export function extractKeywords(title) {
+  return [...new Set(
+    title
+      .toLowerCase()
+      .replace(/\*\*/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length >= 4 && !STOPWORDS.has(word))
+  )];
+}
+
+// Compare on a short prefix so "pricing" matches "price" and "prices"
+export function stem(word) {
+  return word.slice(0, Math.max(4, word.length - 3));
+}
+
+export function nearestSegmentIndex(segments, timestamp) {
+  let low = 0;
+  let high = segments.length - 1;
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (segments[mid].timestamp < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  if (low > 0 && timestamp - segments[low - 1].timestamp <= segments[low].timestamp - timestamp) {
+    return low - 1;
+  }
+  return low;
+}
+
+function buildExcerpt(segments, index) {
+  let excerpt = '';
+  for (let i = index; i < segments.length && excerpt.length < EXCERPT_LENGTH; i++) {
+    excerpt += (excerpt ? ' ' : '') + segments[i].text.trim();
+  }
+  return excerpt.length > EXCERPT_LENGTH
+    ? excerpt.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '') + '…'
+    : excerpt;
+}
+
+function keywordsNear(segments, index, keywords) {
+  const at = segments[index].timestamp;
+  const words = new Set();
+
+  for (let i = index; i >= 0 && segments[i].timestamp >= at - LOOK_BEHIND_SECONDS; i--) {
+    segments[i].text.toLowerCase().split(/[^\p{L}\p{N}]+/u).forEach(word => words.add(stem(word)));
+  }
+  for (let i = index + 1; i < segments.length && segments[i].timestamp <= at + LOOK_AHEAD_SECONDS; i++) {
+    segments[i].text.toLowerCase().split(/[^\p{L}\p{N}]+/u).forEach(word => words.add(stem(word)));
+  }
+
+  return keywords.filter(keyword => words.has(stem(keyword)));
+}
+
+// Snaps each chapter to the nearest segment start, attaches a transcript
+// excerpt, and checks the title against what is actually said there.
+// Pass checkKeywords: false when chapter titles aren't in the transcript's language.
+export function groundChapters(chapters, segments, { mode = GROUNDING_MODE, checkKeywords = true } = {}) {
+  if (!segments || segments.length === 0) return chapters;
+
+  const grounded = [];
+  const seen = new Set();
+
+  for (const chapter of chapters) {
+    const index = nearestSegmentIndex(segments, chapter.timestamp || 0);
+    const timestamp = segments[index].timestamp;
+
+    // Two chapters snapping onto the same segment are the same chapter
+    if (seen.has(timestamp)) continue;
+    seen.add(timestamp);
+
+    const keywords = checkKeywords ? extractKeywords(chapter.title || '') : [];
+    const matched = keywordsNear(segments, index, keywords);
+
+    grounded.push({
+      ...chapter,
+      timestamp,
+      timestampFormatted: formatTimestamp(timestamp),
+      excerpt: buildExcerpt(segments, index),
+      grounded: keywords.length === 0 || matched.length > 0
+    });
+  }
+
+  if (mode === 'drop') {
+    const kept = grounded.filter(chapter => chapter.grounded);
+    // Never drop every chapter; flagged ones are better than none
+    return kept.length > 0 ? kept : grounded;
+  }
+
+  return grounded;
+}
+
+// Finds where in the video each takeaway is said: the window with the most
+// of its keywords. Returns timestamps in takeaway order, null where no window
+// shares at least two keywords (or 40% of them, for long takeaways).
+export function locateTakeaways(takeaways, segments) {
+  if (!segments || segments.length === 0) return takeaways.map(() => null);
+
+  const segmentWords = segments.map(segment =>
+    new Set(segment.text.toLowerCase().split(/[^\p{L}\p{N}]+/u).map(stem))
+  );
+
+  return takeaways.map(takeaway => {
+    const keywords = extractKeywords(takeaway || '').map(stem);
+    const required = Math.max(2, Math.ceil(keywords.length * 0.4));
+    if (keywords.length < required) return null;
+
+    let best = null;
+    let bestCount = required - 1;
+
+    for (let i = 0; i < segments.length; i++) {
+      // Windows start on a line that mentions the takeaway
+      if (!keywords.some(keyword => segmentWords[i].has(keyword))) continue;
+
+      const found = new Set();
+      for (let j = i; j < segments.length && segments[j].timestamp <= segments[i].timestamp + TAKEAWAY_WINDOW_SECONDS; j++) {
+        keywords.forEach(keyword => {
+          if (segmentWords[j].has(keyword)) found.add(keyword);
+        });
+      }
+      if (found.size > bestCount) {
+        best = segments[i].timestamp;
+        bestCount = found.size;
+      }
+    }
+
+    return best;
+  });
+}
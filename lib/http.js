@@ -0,0 +1,163 @@
+// Outbound HTTP for every upstream call (YouTube, Supadata, KV); the Anthropic
+// SDK has its own transport and uses withRetries on top of it. Each attempt
+// gets its own timeout, and 429s, 5xx responses and network failures (and
+// timeouts of GETs) are retried with exponential backoff that honors
+// Retry-After.
+
+export const DEFAULT_TIMEOUT_MS = (parseInt(process.env.HTTP_TIMEOUT || '') || 10) * 1000;
+const configuredRetries = parseInt(process.env.HTTP_RETRIES || '');
+export const DEFAULT_RETRIES = configuredRetries >= 0 ? configuredRetries : 2;
+
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+// A longer Retry-After isn't worth waiting out inside one request; the
+// response goes back to the caller instead
+const MAX_RETRY_AFTER_MS = 10000;
+
+export class HttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Retry-After is either seconds or an HTTP date; returns milliseconds or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Full jitter: a random wait up to 500ms, 1s, 2s... so instances that failed
+// together don't retry together
+export function backoffDelay(attempt) {
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Runs task(attempt) until it succeeds or retries run out. retryDelay(error)
+// returns how long to wait before the next attempt, or null to give up.
+export async function withRetries(task, { retries = DEFAULT_RETRIES, retryDelay, signal, label = 'request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      const delay = attempt < retries ? retryDelay(error, attempt) : null;
+      if (delay === null) throw error;
+
+      console.warn(`${label} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// The caller's signal plus a per-attempt timeout. A timeout aborts with a
+// TimeoutError, which callers report as TIMEOUT.
+function attemptSignal(signal, timeout) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  const timer = timeout
+    ? setTimeout(() => controller.abort(new DOMException(`Timed out after ${Math.round(timeout / 1000)}s`, 'TimeoutError')), timeout)
+    : null;
+
+  if (signal?.aborted) {
+    controller.abort(signal.reason);
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    // After a response the timer keeps running, so it bounds reading the
+    // body too, without holding the process open
+    keep() {
+      timer?.unref();
+    },
+    done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+// Sending these again can't repeat a side effect the timed-out attempt
+// may have had upstream
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+// A 429/5xx Response, thrown so withRetries can decide whether to try again
+class RetryableResponse extends Error {
+  constructor(response) {
+    super(`HTTP ${response.status}`);
+    this.response = response;
+  }
+}
+
+// fetch() with a timeout per attempt and retries. Resolves to the last
+// Response, so callers handle a final 4xx/5xx as before; rejects on network
+// failure, timeout (including while reading the body) or abort.
+export async function httpFetch(url, { timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, signal, ...init } = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  const label = `${method} ${new URL(url).host}`;
+
+  try {
+    return await withRetries(async () => {
+      const attempt = attemptSignal(signal, timeout);
+      try {
+        const response = await fetch(url, { ...init, signal: attempt.signal });
+        if (isRetryableStatus(response.status)) {
+          throw new RetryableResponse(response);
+        }
+        attempt.keep();
+        return response;
+      } catch (error) {
+        if (error instanceof RetryableResponse) attempt.keep();
+        else attempt.done();
+        // fetch rejects with the abort reason, except on older Node versions
+        throw attempt.signal.aborted && !signal?.aborted ? attempt.signal.reason : error;
+      }
+    }, {
+      retries,
+      signal,
+      label,
+      retryDelay(error, attempt) {
+        if (error instanceof RetryableResponse) {
+          const retryAfter = parseRetryAfter(error.response.headers.get('retry-after'));
+          if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) return null;
+          // The body of a response we're not returning would hold the connection open
+          error.response.body?.cancel().catch(() => {});
+          return retryAfter ?? backoffDelay(attempt);
+        }
+        if (error.name === 'TimeoutError' && !IDEMPOTENT_METHODS.includes(method)) return null;
+        return backoffDelay(attempt);
+      }
+    });
+  } catch (error) {
+    if (error instanceof RetryableResponse) return error.response;
+    throw error;
+  }
+}
@@ -0,0 +1,79 @@
+import { httpFetch } from './http.js';
+
+// Store backed by a Redis REST endpoint (Vercel KV / Upstash), for serverless
+// deployments where each instance has its own memory. Implements the cache
+// store interface plus increment() for rate-limit counters.
+
+// Every API request waits on the rate-limit counters and the cache, so a slow
+// KV gives up quickly (both then carry on without it). Commands aren't
+// retried: a retried INCRBY could count a request twice.
+const KV_TIMEOUT_MS = 2000;
+
+export function isKvConfigured() {
+  return Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+export function createKvStore({
+  url = process.env.KV_REST_API_URL,
+  token = process.env.KV_REST_API_TOKEN
+} = {}) {
+  if (!url || !token) {
+    throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN are required for the KV store');
+  }
+
+  const base = url.replace(/\/+$/, '');
+
+  async function request(path, body) {
+    const response = await httpFetch(`${base}${path}`, {
+      method: 'POST',
+      timeout: KV_TIMEOUT_MS,
+      retries: 0,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `KV error: ${response.status}`);
+    }
+    return data;
+  }
+
+  async function command(...args) {
+    const data = await request('', args);
+    if (data.error) throw new Error(data.error);
+    return data.result;
+  }
+
+  return {
+    async get(key) {
+      const value = await command('GET', key);
+      return value === null || value === undefined ? undefined : JSON.parse(value);
+    },
+
+    async set(key, value, ttlSeconds) {
+      const serialized = JSON.stringify(value);
+      await (ttlSeconds
+        ? command('SET', key, serialized, 'EX', ttlSeconds)
+        : command('SET', key, serialized));
+    },
+
+    async delete(key) {
+      await command('DEL', key);
+    },
+
+    // EXPIRE ... NX only sets the TTL when the counter is created
+    async increment(key, ttlSeconds, amount = 1) {
+      const results = await request('/pipeline', [
+        ['INCRBY', key, amount],
+        ['EXPIRE', key, ttlSeconds, 'NX']
+      ]);
+      const failed = results.find(result => result.error);
+      if (failed) throw new Error(failed.error);
+      return results[0].result;
+    }
+  };
+}
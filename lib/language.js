@@ -0,0 +1,32 @@
+export const DEFAULT_OUTPUT_LANGUAGE = 'en';
+
+export function isValidLanguageCode(code) {
+  return typeof code === 'string' && /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(code);
+}
+
+export function baseLanguage(code) {
+  return (code || '').split('-')[0].toLowerCase();
+}
+
+export function languageName(code) {
+  if (!code) return 'an unknown language';
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (e) {
+    return code;
+  }
+}
+
+// Part of the analysis prompt, so part of ANALYSIS_VERSION too
+export const LANGUAGE_TEMPLATE = {
+  same: 'Transcript language: {{output}}. Write every field in {{output}}.',
+  translated: 'Transcript language: {{transcript}}. Write every field in {{output}}, translating quotes and terms from the transcript.'
+};
+
+// Prompt line telling Claude which language it reads and which it writes
+export function languageInstruction(transcriptLanguage, outputLanguage) {
+  const same = transcriptLanguage && baseLanguage(transcriptLanguage) === baseLanguage(outputLanguage);
+  return LANGUAGE_TEMPLATE[same ? 'same' : 'translated']
+    .replaceAll('{{output}}', languageName(outputLanguage))
+    .replaceAll('{{transcript}}', languageName(transcriptLanguage));
+}
@@ -0,0 +1,208 @@
+import { parseDuration } from './format.js';
+import { upstream, isFixtureMode } from './upstream.js';
+import { AppError } from './errors.js';
+import { httpFetch, HttpError } from './http.js';
+import { getPlayerResponse, playabilityError } from './providers/innertube.js';
+
+// Video details come from the first of these sources to have each field:
+// the Data API (needs YOUTUBE_API_KEY, has everything), the innertube player
+// response (no like count) and oEmbed (title and channel only). Each source
+// is { name, fields, isAvailable(), fetchMetadata(videoId, { signal }) } and
+// resolves to some of the fields it lists, leaving out what it doesn't know.
+export const FIELDS = ['title', 'channelTitle', 'duration', 'viewCount', 'likeCount', 'publishedAt', 'description'];
+
+export const DEFAULT_METADATA_ORDER = ['youtube-api', 'innertube', 'oembed'];
+
+// A source failing with one of these has spoken for the video; the others
+// would only fail more slowly or fill in details for a video we can't analyze
+const FINAL_CODES = ['VIDEO_NOT_FOUND', 'VIDEO_PRIVATE', 'LIVE_STREAM'];
+
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded', 'rateLimitExceeded'];
+
+// A spent quota is worth retrying later and a missing playlist or channel
+// (404 playlistNotFound, channelNotFound) never will be; any other API error
+// is ours to fix
+export function youtubeApiError(status, data) {
+  if (status === 403 && QUOTA_REASONS.includes(data.error?.errors?.[0]?.reason)) {
+    return new AppError('PROVIDER_QUOTA');
+  }
+  if (status === 404) {
+    return new AppError('NOT_FOUND', data.error?.message?.replace(/<[^>]+>/g, ''));
+  }
+  return new HttpError(data.error?.message || `YouTube API error: ${status}`, status);
+}
+
+const youtubeApi = {
+  name: 'youtube-api',
+  fields: FIELDS,
+
+  // The fixture server answers without a key
+  isAvailable() {
+    return Boolean(process.env.YOUTUBE_API_KEY) || isFixtureMode();
+  },
+
+  async fetchMetadata(videoId, { signal } = {}) {
+    const url = `${upstream('youtube-api')}/youtube/v3/videos?part=snippet,contentDetails,statistics&id=${videoId}&key=${process.env.YOUTUBE_API_KEY}`;
+    const response = await httpFetch(url, { signal });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw youtubeApiError(response.status, data);
+    }
+
+    // Private videos aren't listed either; the transcript providers can tell
+    // the two apart, but there's nothing to analyze in both cases
+    if (!data.items || data.items.length === 0) {
+      throw new AppError('VIDEO_NOT_FOUND');
+    }
+
+    const video = data.items[0];
+    // Live and upcoming streams have no captions to read until they end
+    if (['live', 'upcoming'].includes(video.snippet.liveBroadcastContent)) {
+      throw new AppError('LIVE_STREAM');
+    }
+
+    return {
+      title: video.snippet.title,
+      channelTitle: video.snippet.channelTitle,
+      duration: parseDuration(video.contentDetails?.duration || ''),
+      viewCount: video.statistics?.viewCount,
+      // Hidden when the owner turned off public like counts
+      likeCount: video.statistics?.likeCount,
+      publishedAt: video.snippet.publishedAt,
+      description: video.snippet.description
+    };
+  }
+};
+
+const innertube = {
+  name: 'innertube',
+  fields: ['title', 'channelTitle', 'duration', 'viewCount', 'publishedAt', 'description'],
+
+  isAvailable() {
+    return true;
+  },
+
+  async fetchMetadata(videoId, { signal } = {}) {
+    const player = await getPlayerResponse(videoId, { signal });
+    const details = player.videoDetails;
+    const microformat = player.microformat?.playerMicroformatRenderer || {};
+
+    // Age-restricted videos still come with their details
+    if (!details) {
+      throw playabilityError(player.playabilityStatus) || new Error('No video details in player response');
+    }
+    if (details.isLive || details.isUpcoming) {
+      throw new AppError('LIVE_STREAM');
+    }
+
+    return {
+      title: details.title,
+      channelTitle: details.author || microformat.ownerChannelName,
+      duration: parseInt(details.lengthSeconds || microformat.lengthSeconds) || undefined,
+      viewCount: details.viewCount || microformat.viewCount,
+      publishedAt: microformat.publishDate || microformat.uploadDate,
+      description: details.shortDescription || microformat.description?.simpleText
+    };
+  }
+};
+
+const oembed = {
+  name: 'oembed',
+  fields: ['title', 'channelTitle'],
+
+  isAvailable() {
+    return true;
+  },
+
+  async fetchMetadata(videoId, { signal } = {}) {
+    const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    const response = await httpFetch(`${upstream('youtube')}/oembed?url=${encodeURIComponent(watchUrl)}&format=json`, { signal });
+
+    // 401 means embedding is turned off, which says nothing about the video
+    if (response.status === 404) {
+      throw new AppError('VIDEO_NOT_FOUND');
+    }
+    if (!response.ok) {
+      throw new HttpError(`oEmbed error: ${response.status}`, response.status);
+    }
+
+    const data = await response.json();
+    return {
+      title: data.title,
+      channelTitle: data.author_name
+    };
+  }
+};
+
+const sources = new Map([youtubeApi, innertube, oembed].map(source => [source.name, source]));
+
+export function getMetadataOrder() {
+  const configured = process.env.METADATA_PROVIDERS;
+  if (!configured) return DEFAULT_METADATA_ORDER;
+
+  return configured
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+// Merges the sources field by field, asking a source only when it could fill
+// a field that's still missing.
+// Resolves to the fields plus `source` (the first source that contributed)
+// and `attempts` ([{ provider, status, fields | error }], like transcripts).
+export async function getVideoInfo(videoId, { signal, order = getMetadataOrder() } = {}) {
+  const info = {};
+  const attempts = [];
+  let failure = null;
+
+  for (const name of order) {
+    const source = sources.get(name);
+
+    if (!source) {
+      attempts.push({ provider: name, status: 'skipped', error: 'Unknown provider' });
+      continue;
+    }
+    if (!source.isAvailable()) {
+      attempts.push({ provider: name, status: 'skipped', error: 'Not configured' });
+      continue;
+    }
+    if (source.fields.every(field => !isMissing(info[field]))) {
+      continue;
+    }
+
+    signal?.throwIfAborted();
+
+    try {
+      const result = await source.fetchMetadata(videoId, { signal });
+      const filled = FIELDS.filter(field => isMissing(info[field]) && !isMissing(result[field]));
+      filled.forEach(field => {
+        info[field] = result[field];
+      });
+      attempts.push({ provider: name, status: 'succeeded', fields: filled });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      if (e instanceof AppError && FINAL_CODES.includes(e.code)) throw e;
+
+      console.warn(`Video metadata from ${name} failed:`, e.message);
+      attempts.push({ provider: name, status: 'failed', error: e.message });
+      failure ??= e;
+    }
+  }
+
+  // Without a title there's nothing to show; with one, missing details just
+  // fall back to defaults
+  if (isMissing(info.title)) {
+    throw failure || new Error('No video metadata source is available');
+  }
+
+  return {
+    ...info,
+    source: attempts.find(attempt => attempt.fields?.length > 0)?.provider || null,
+    attempts
+  };
+}
@@ -0,0 +1,113 @@
+import { readFile } from 'fs/promises';
+import { getCacheStore, PERMALINK_TTL } from './cache.js';
+import { isKvConfigured } from './kv.js';
+import { DEFAULT_OUTPUT_LANGUAGE } from './language.js';
+
+// The latest generic analysis of each video is kept per output language and
+// served at /v/:videoId (?lang= for other languages), so a link can be
+// reopened without another Claude call. Personalized analyses are never
+// stored: they describe the viewer as much as the video.
+//
+// They live in the cache store. On Vercel /v/:videoId runs in a different
+// function instance from /api/analyze, so that has to be the shared KV store.
+
+const permalinkKey = (videoId, language) => `permalink:${videoId}:${language}`;
+
+export function permalinkPath(videoId, language = DEFAULT_OUTPUT_LANGUAGE) {
+  return language === DEFAULT_OUTPUT_LANGUAGE
+    ? `/v/${videoId}`
+    : `/v/${videoId}?lang=${encodeURIComponent(language)}`;
+}
+
+let warnedUnshared = false;
+
+function warnIfUnshared() {
+  if (warnedUnshared || !process.env.VERCEL || isKvConfigured()) return;
+  warnedUnshared = true;
+  console.warn('KV_REST_API_URL/KV_REST_API_TOKEN are not set: permalinks stay in this instance\'s memory and /v/ links will 404');
+}
+
+export async function savePermalink(analysis) {
+  if (analysis.personalized) return;
+  warnIfUnshared();
+
+  const { cache, ...stored } = analysis;
+  await getCacheStore().set(
+    permalinkKey(analysis.videoId, analysis.outputLanguage || DEFAULT_OUTPUT_LANGUAGE),
+    { ...stored, savedAt: new Date().toISOString() },
+    PERMALINK_TTL
+  );
+}
+
+export async function getPermalink(videoId, language = DEFAULT_OUTPUT_LANGUAGE) {
+  return getCacheStore().get(permalinkKey(videoId, language));
+}
+
+const DEFAULT_DESCRIPTION = 'Paste a YouTube link and get a summary, chapters and a watch-or-skip verdict.';
+
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function truncate(text, length) {
+  return text.length > length ? text.slice(0, length - 1).replace(/\s+\S*$/, '') + '…' : text;
+}
+
+let pageTemplate = null;
+
+// index.html is the page shell; Vercel bundles it with the function (see vercel.json)
+function loadPageTemplate() {
+  if (!pageTemplate) {
+    pageTemplate = readFile(new URL('../index.html', import.meta.url), 'utf8').catch(error => {
+      pageTemplate = null;
+      throw error;
+    });
+  }
+  return pageTemplate;
+}
+
+// The app page with Open Graph / Twitter tags for the video and, when the
+// analysis is stored, the analysis itself for app.js to render. Without one,
+// app.js starts a fresh analysis of the video in the URL.
+export async function renderPermalinkPage({ videoId, analysis, url }) {
+  const template = await loadPageTemplate();
+
+  const title = analysis ? `${analysis.title} - Should I Watch?` : 'Should I Watch?';
+  const description = analysis?.tldr
+    ? truncate(analysis.tldr.replace(/\*\*([^*]+)\*\*/g, '$1'), 200)
+    : DEFAULT_DESCRIPTION;
+  const image = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
+
+  const meta = [
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', 'Should I Watch'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', image],
+    ['property', 'og:url', url],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+    ['name', 'description', description]
+  ].map(([attribute, name, content]) =>
+    `  <meta ${attribute}="${name}" content="${escapeAttribute(content)}">`
+  );
+
+  const head = [
+    ...meta,
+    `  <link rel="canonical" href="${escapeAttribute(url)}">`,
+    // < is escaped so a title containing </script> can't end the block early
+    ...(analysis
+      ? [`  <script type="application/json" id="initial-analysis">${JSON.stringify(analysis).replace(/</g, '\\u003c')}</script>`]
+      : [])
+  ].join('\n');
+
+  return template
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeAttribute(title)}</title>`)
+    .replace('</head>', `${head}\n</head>`);
+}
@@ -0,0 +1,71 @@
+const MAX_TEXT_LENGTH = 200;
+const MAX_LIST_ITEMS = 20;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function cleanList(value) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return items.map(cleanText).filter(Boolean).slice(0, MAX_LIST_ITEMS);
+}
+
+// Returns a trimmed { role, interests, knownTopics, timeBudgetMinutes }, or
+// null when nothing useful was given so generic requests share one cache entry.
+export function normalizeProfile(profile) {
+  if (!profile || typeof profile !== 'object') return null;
+
+  const budget = parseInt(profile.timeBudgetMinutes);
+  const normalized = {
+    role: cleanText(profile.role),
+    interests: cleanList(profile.interests),
+    knownTopics: cleanList(profile.knownTopics),
+    timeBudgetMinutes: budget > 0 ? Math.min(budget, 24 * 60) : null
+  };
+
+  const empty = !normalized.role
+    && normalized.interests.length === 0
+    && normalized.knownTopics.length === 0
+    && !normalized.timeBudgetMinutes;
+
+  return empty ? null : normalized;
+}
+
+// Accepts an object (JSON body) or a JSON string (query parameter)
+export function parseProfile(value) {
+  if (typeof value === 'string') {
+    try {
+      return normalizeProfile(JSON.parse(value));
+    } catch (e) {
+      return null;
+    }
+  }
+  return normalizeProfile(value);
+}
+
+// Part of the analysis prompt, so part of ANALYSIS_VERSION too
+export const PROFILE_TEMPLATE = {
+  generic: 'Viewer: a general audience with no particular background.',
+  heading: 'Viewer profile:',
+  role: '- Role: {{value}}',
+  interests: '- Interests: {{value}}',
+  knownTopics: '- Already knows: {{value}}',
+  timeBudgetMinutes: '- Time budget: {{value}} minutes',
+  tailor: 'Tailor shouldWatch, keyTakeaways and the verdict to this viewer. Say which parts they can skip because they already know the material (e.g. "you already know X; skip 12:30-25:00"), and keep the recommended segments within their time budget.'
+};
+
+export function profileInstruction(profile) {
+  if (!profile) {
+    return PROFILE_TEMPLATE.generic;
+  }
+
+  const line = (field, value) => PROFILE_TEMPLATE[field].replace('{{value}}', () => value);
+  const lines = [PROFILE_TEMPLATE.heading];
+  if (profile.role) lines.push(line('role', profile.role));
+  if (profile.interests.length > 0) lines.push(line('interests', profile.interests.join(', ')));
+  if (profile.knownTopics.length > 0) lines.push(line('knownTopics', profile.knownTopics.join(', ')));
+  if (profile.timeBudgetMinutes) lines.push(line('timeBudgetMinutes', profile.timeBudgetMinutes));
+  lines.push(PROFILE_TEMPLATE.tailor);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,149 @@
+import { parseTranscriptXml } from './parsers.js';
+import { upstream } from '../upstream.js';
+import { AppError } from '../errors.js';
+import { httpFetch, HttpError } from '../http.js';
+
+export const name = 'innertube';
+
+export function isAvailable() {
+  return true;
+}
+
+// Why YouTube won't play the video, from the player's playabilityStatus.
+// LOGIN_REQUIRED also covers bot checks, which say nothing about the video.
+export function playabilityError(status) {
+  const reason = [status?.reason, status?.messages?.join(' ')].filter(Boolean).join(' ');
+
+  switch (status?.status) {
+    case 'ERROR':
+      return new AppError('VIDEO_NOT_FOUND', undefined, { details: { reason } });
+    case 'LIVE_STREAM_OFFLINE':
+      return new AppError('LIVE_STREAM');
+    case 'LOGIN_REQUIRED':
+      if (/private/i.test(reason)) return new AppError('VIDEO_PRIVATE');
+      if (/confirm your age|age-restricted|inappropriate/i.test(reason)) return new AppError('AGE_RESTRICTED');
+      return new Error(reason || 'YouTube asked to sign in');
+    case 'UNPLAYABLE':
+      return new Error(reason || 'Video is unplayable');
+    default:
+      return null;
+  }
+}
+
+function describeTrack(track) {
+  return {
+    languageCode: track.languageCode,
+    name: track.name?.simpleText || track.name?.runs?.[0]?.text || null,
+    kind: track.kind === 'asr' ? 'auto' : 'manual'
+  };
+}
+
+// Preferred language first (exact, then same base language), otherwise the
+// spoken language: a manual track matching the auto-generated one, then the
+// auto-generated track itself.
+export function selectTrack(captionTracks, lang) {
+  if (lang) {
+    const base = lang.split('-')[0].toLowerCase();
+    const preferred = captionTracks.find(t => t.languageCode?.toLowerCase() === lang.toLowerCase())
+      || captionTracks.find(t => t.languageCode?.split('-')[0].toLowerCase() === base);
+    if (preferred) return preferred;
+  }
+
+  const asr = captionTracks.find(t => t.kind === 'asr');
+  if (asr) {
+    return captionTracks.find(t => t.kind !== 'asr' && t.languageCode === asr.languageCode) || asr;
+  }
+  return captionTracks[0];
+}
+
+// A rate-limited or failing YouTube, as opposed to a video it won't play
+function responseError(response, what) {
+  if (response.status === 429) {
+    return new AppError('PROVIDER_QUOTA', undefined, { details: { provider: name } });
+  }
+  return new HttpError(`YouTube ${what} request failed: ${response.status}`, response.status);
+}
+
+// The player response has both the caption tracks and the video details, so
+// the metadata and transcript lookups for a video share one request
+const PLAYER_TTL_MS = 60 * 1000;
+const MAX_PLAYER_RESPONSES = 100;
+const playerResponses = new Map();
+
+export async function getPlayerResponse(videoId, { signal } = {}) {
+  const stored = playerResponses.get(videoId);
+  if (stored && stored.expires > Date.now()) {
+    return stored.data;
+  }
+
+  // Use YouTube's innertube API to get player response
+  const innertubeResponse = await httpFetch(`${upstream('youtube')}/youtubei/v1/player?prettyPrint=false`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    },
+    body: JSON.stringify({
+      context: {
+        client: {
+          hl: 'en',
+          gl: 'US',
+          clientName: 'WEB',
+          clientVersion: '2.20240101.00.00',
+        }
+      },
+      videoId: videoId
+    })
+  });
+
+  if (!innertubeResponse.ok) {
+    throw responseError(innertubeResponse, 'player');
+  }
+
+  const data = await innertubeResponse.json();
+
+  if (playerResponses.size >= MAX_PLAYER_RESPONSES) {
+    playerResponses.delete(playerResponses.keys().next().value);
+  }
+  playerResponses.set(videoId, { data, expires: Date.now() + PLAYER_TTL_MS });
+  return data;
+}
+
+export async function fetchTranscript(videoId, { lang, signal } = {}) {
+  const playerData = await getPlayerResponse(videoId, { signal });
+
+  const unplayable = playabilityError(playerData.playabilityStatus);
+  if (unplayable) {
+    throw unplayable;
+  }
+
+  const captionTracks = playerData.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+
+  if (!captionTracks || captionTracks.length === 0) {
+    if (playerData.videoDetails?.isLive || playerData.videoDetails?.isUpcoming) {
+      throw new AppError('LIVE_STREAM');
+    }
+    throw new Error('No caption tracks in player response');
+  }
+
+  const track = selectTrack(captionTracks, lang);
+
+  const captionUrl = track.baseUrl;
+  if (!captionUrl) {
+    throw new Error('No caption URL');
+  }
+
+  // Fetch caption XML
+  const captionResponse = await httpFetch(captionUrl, { signal });
+  if (!captionResponse.ok) {
+    throw responseError(captionResponse, 'caption');
+  }
+  const captionXml = await captionResponse.text();
+
+  return {
+    transcript: parseTranscriptXml(captionXml),
+    language: track.languageCode,
+    tracks: captionTracks.map(describeTrack)
+  };
+}
@@ -0,0 +1,111 @@
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const ENTITY_PATTERN = /&(amp|lt|gt|quot|apos|#\d{1,5});/g;
+
+// Timedtext XML escapes caption text that is often escaped already, so
+// entities are decoded in two passes. Each pass replaces every entity in one
+// go, so the & of a decoded &amp; only starts an entity in the next pass.
+const DECODE_PASSES = 2;
+
+export function decodeHtmlEntities(text) {
+  let decoded = text;
+  for (let pass = 0; pass < DECODE_PASSES; pass++) {
+    decoded = decoded.replace(ENTITY_PATTERN, (entity, name) =>
+      name.startsWith('#') ? String.fromCodePoint(parseInt(name.slice(1))) : ENTITIES[name]
+    );
+  }
+  return decoded.replace(/\n/g, ' ');
+}
+
+export function parseTranscriptXml(xml) {
+  // Parse XML captions - handle both formats. Attributes are matched
+  // separately since dur may come before or after start, or not at all.
+  const textMatches = [...xml.matchAll(/<text([^>]*)>([^<]*)<\/text>/g)]
+    .map(match => ({
+      start: match[1].match(/\bstart="([\d.]+)"/),
+      dur: match[1].match(/\bdur="([\d.]+)"/),
+      text: match[2]
+    }))
+    .filter(match => match.start);
+
+  if (textMatches.length === 0) {
+    throw new Error('No caption text found in XML');
+  }
+
+  return textMatches.map(match => ({
+    text: decodeHtmlEntities(match.text),
+    offset: parseFloat(match.start[1]) * 1000,
+    duration: parseFloat(match.dur?.[1] || '2') * 1000
+  }));
+}
+
+export function parseVTT(vttContent) {
+  const transcript = [];
+  const lines = vttContent.split('\n');
+  let currentTime = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    // Match timestamp line: 00:00:00.000 --> 00:00:00.000
+    const timeMatch = line.match(/(\d{2}):(\d{2}):(\d{2})\.(\d{3})\s*-->/);
+    if (timeMatch) {
+      const hours = parseInt(timeMatch[1]);
+      const minutes = parseInt(timeMatch[2]);
+      const seconds = parseInt(timeMatch[3]);
+      currentTime = hours * 3600 + minutes * 60 + seconds;
+
+      // Get the text on the next line(s)
+      let text = '';
+      for (let j = i + 1; j < lines.length && lines[j].trim() !== ''; j++) {
+        const textLine = lines[j].trim();
+        if (!textLine.match(/^\d{2}:\d{2}/) && textLine !== 'WEBVTT') {
+          // Remove HTML tags and formatting
+          const cleanText = textLine
+            .replace(/<[^>]+>/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .trim();
+          if (cleanText) {
+            text += (text ? ' ' : '') + cleanText;
+          }
+        }
+      }
+
+      if (text) {
+        transcript.push({
+          text,
+          offset: currentTime * 1000,
+          duration: 0
+        });
+      }
+    }
+  }
+
+  return transcript;
+}
+
+export function parseJSON3(jsonContent) {
+  const subData = JSON.parse(jsonContent);
+  const transcript = [];
+
+  for (const event of subData.events || []) {
+    if (event.segs && event.tStartMs !== undefined) {
+      const text = event.segs
+        .map(seg => seg.utf8 || '')
+        .join('')
+        .trim();
+
+      if (text && text !== '\n') {
+        transcript.push({
+          text: text.replace(/\n/g, ' '),
+          offset: event.tStartMs,
+          duration: event.dDurationMs || 0
+        });
+      }
+    }
+  }
+
+  return transcript;
+}
@@ -0,0 +1,66 @@
+import { upstream } from '../upstream.js';
+import { AppError } from '../errors.js';
+import { httpFetch, HttpError } from '../http.js';
+
+export const name = 'supadata';
+
+export function isAvailable() {
+  return Boolean(process.env.SUPADATA_API_KEY);
+}
+
+// Supadata may fetch the video itself when YouTube has no captions, so it
+// gets longer than the default timeout
+const TIMEOUT_MS = 20000;
+
+export async function fetchTranscript(videoId, { lang, signal } = {}) {
+  console.log('Fetching transcript via Supadata for:', videoId);
+
+  const langParam = lang ? `&lang=${encodeURIComponent(lang)}` : '';
+  const response = await httpFetch(`${upstream('supadata')}/v1/youtube/transcript?videoId=${videoId}&text=false${langParam}`, {
+    timeout: TIMEOUT_MS,
+    signal,
+    headers: {
+      'x-api-key': process.env.SUPADATA_API_KEY,
+    }
+  });
+
+  console.log('Supadata response status:', response.status);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error('Supadata error:', errorData);
+    // 402: out of credits, 429: over the plan's rate limit
+    if (response.status === 402 || response.status === 429) {
+      throw new AppError('PROVIDER_QUOTA', undefined, { details: { provider: name } });
+    }
+    throw new HttpError(errorData.message || `Supadata API error: ${response.status}`, response.status);
+  }
+
+  const data = await response.json();
+
+  if (!data.content) {
+    throw new Error('No content field in Supadata response');
+  }
+
+  if (!Array.isArray(data.content)) {
+    throw new Error('Supadata content is not an array');
+  }
+
+  if (data.content.length === 0) {
+    throw new Error('Supadata content array is empty');
+  }
+
+  // Convert Supadata format to our format
+  // Supadata returns offset/duration in milliseconds already
+  const transcript = data.content.map(item => ({
+    text: item.text || '',
+    offset: item.offset || 0,
+    duration: item.duration || 2000
+  }));
+
+  return {
+    transcript,
+    language: data.lang || lang || null,
+    tracks: (data.availableLangs || []).map(languageCode => ({ languageCode, name: null, kind: null }))
+  };
+}
@@ -0,0 +1,56 @@
+import { parseTranscriptXml } from './parsers.js';
+import { upstream } from '../upstream.js';
+import { AppError } from '../errors.js';
+import { httpFetch, HttpError } from '../http.js';
+
+export const name = 'timedtext';
+
+export function isAvailable() {
+  return true;
+}
+
+const FALLBACK_LANGS = ['en', 'en-US', 'en-GB'];
+
+export async function fetchTranscript(videoId, { lang, signal } = {}) {
+  // Try direct timedtext API with different language codes, manual tracks
+  // before auto-generated ones
+  const langs = [...new Set([lang, lang?.split('-')[0], ...FALLBACK_LANGS].filter(Boolean))];
+  const candidates = [
+    ...langs.map(code => ({ code, kind: '' })),
+    ...langs.map(code => ({ code, kind: '&kind=asr' }))
+  ];
+
+  // A missing language is a 404 or an empty body; anything else means YouTube
+  // itself is failing, which is reported if no language works
+  let upstreamError = null;
+
+  for (const { code, kind } of candidates) {
+    try {
+      const url = `${upstream('youtube')}/api/timedtext?v=${videoId}&lang=${encodeURIComponent(code)}${kind}&fmt=srv3`;
+      const response = await httpFetch(url, {
+        signal,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        }
+      });
+
+      if (response.ok) {
+        const xml = await response.text();
+        if (xml && xml.includes('<text')) {
+          return { transcript: parseTranscriptXml(xml), language: code, tracks: [] };
+        }
+      } else if (response.status === 429) {
+        upstreamError = new AppError('PROVIDER_QUOTA', undefined, { details: { provider: name } });
+      } else if (response.status >= 500) {
+        upstreamError = new HttpError(`TimedText API error: ${response.status}`, response.status);
+      }
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      // Every other language would time out the same way
+      if (e.name === 'TimeoutError') throw e;
+      upstreamError = e;
+    }
+  }
+
+  throw upstreamError || new Error('TimedText API failed for all language codes');
+}
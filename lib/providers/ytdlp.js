@@ -0,0 +1,138 @@
+import { existsSync } from 'fs';
+import { mkdir, mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, delimiter } from 'path';
+import { parseVTT, parseJSON3 } from './parsers.js';
+import { runProcess, ProcessError } from '../subprocess.js';
+import { AppError } from '../errors.js';
+import { createLimiter } from '../limit.js';
+import { selectTrack } from './innertube.js';
+
+export const name = 'ytdlp';
+
+const TIMEOUT_MS = (parseInt(process.env.YT_DLP_TIMEOUT || '') || 45) * 1000;
+// Each run is a Python process fetching from YouTube; queue the rest
+const limit = createLimiter(parseInt(process.env.YT_DLP_CONCURRENCY || '') || 2);
+// Every run writes into its own directory under this one, removed afterwards
+const TEMP_ROOT = join(tmpdir(), 'should-i-watch', 'yt-dlp');
+
+// Preferred first: json3 keeps YouTube's own cue timing, vtt is the fallback
+const PARSERS = {
+  json3: parseJSON3,
+  vtt: parseVTT
+};
+
+// yt-dlp's error lines for videos it can't get captions for
+const YT_DLP_ERRORS = [
+  [/private video/i, 'VIDEO_PRIVATE'],
+  [/confirm your age|age.restricted|inappropriate for some users/i, 'AGE_RESTRICTED'],
+  [/live event will begin|premieres in|is live|this live event/i, 'LIVE_STREAM'],
+  [/video unavailable|not available|does not exist|has been removed/i, 'VIDEO_NOT_FOUND'],
+  [/HTTP Error 429/i, 'PROVIDER_QUOTA']
+];
+
+function classifyError(error) {
+  if (!(error instanceof ProcessError)) return error;
+  if (error.timedOut) return new AppError('TIMEOUT', error.message, { cause: error });
+
+  const match = YT_DLP_ERRORS.find(([pattern]) => pattern.test(error.message));
+  return match ? new AppError(match[1], error.message, { cause: error }) : error;
+}
+
+// YT_DLP_PATH wins; otherwise look for yt-dlp on PATH
+export function resolveYtDlpPath() {
+  if (process.env.YT_DLP_PATH) {
+    return existsSync(process.env.YT_DLP_PATH) ? process.env.YT_DLP_PATH : null;
+  }
+
+  const names = process.platform === 'win32' ? ['yt-dlp.exe', 'yt-dlp'] : ['yt-dlp'];
+  for (const dir of (process.env.PATH || '').split(delimiter)) {
+    for (const file of names) {
+      if (dir && existsSync(join(dir, file))) {
+        return join(dir, file);
+      }
+    }
+  }
+  return null;
+}
+
+export function isAvailable() {
+  return resolveYtDlpPath() !== null;
+}
+
+// Without a language, ask for the auto-generated track in the spoken
+// language (yt-dlp names it <lang>-orig) and English, manual or auto;
+// "all" would also fetch every auto-translation
+const DEFAULT_SUB_LANGS = '.*-orig,en.*';
+
+// Subtitle files are written as subs.<lang>.<ext>, one track per language in
+// the first format available. Listed like innertube's caption tracks so
+// selectTrack() can choose between them the same way.
+function listSubtitleTracks(files) {
+  const tracks = [];
+  for (const ext of Object.keys(PARSERS)) {
+    for (const file of files.filter(f => f.startsWith('subs.') && f.endsWith(`.${ext}`)).sort()) {
+      const code = file.slice('subs.'.length, -(ext.length + 1));
+      if (tracks.some(track => track.code === code)) continue;
+
+      const asr = code.endsWith('-orig');
+      tracks.push({ file, ext, code, languageCode: asr ? code.slice(0, -'-orig'.length) : code, kind: asr ? 'asr' : null });
+    }
+  }
+  return tracks;
+}
+
+// signal aborts a queued or running download (e.g. when the client disconnects)
+export function fetchTranscript(videoId, { lang, signal } = {}) {
+  return limit(async () => {
+    signal?.throwIfAborted();
+
+    const ytDlpPath = resolveYtDlpPath();
+
+    await mkdir(TEMP_ROOT, { recursive: true });
+    const dir = await mkdtemp(join(TEMP_ROOT, `${videoId}-`));
+
+    try {
+      // One run asks for manual and auto captions in the first format available
+      await runProcess(ytDlpPath, [
+        '--skip-download',
+        '--write-subs',
+        '--write-auto-subs',
+        '--sub-langs', lang || DEFAULT_SUB_LANGS,
+        '--sub-format', Object.keys(PARSERS).join('/'),
+        '--no-playlist',
+        '--no-progress',
+        '-o', join(dir, 'subs.%(ext)s'),
+        '--',
+        `https://www.youtube.com/watch?v=${videoId}`
+      ], { signal, timeout: TIMEOUT_MS }).catch(error => {
+        throw classifyError(error);
+      });
+
+      const tracks = listSubtitleTracks(await readdir(dir));
+      const subtitles = selectTrack(tracks, lang);
+      if (!subtitles) {
+        throw new Error('yt-dlp returned no subtitles');
+      }
+
+      const content = await readFile(join(dir, subtitles.file), 'utf-8');
+      const transcript = PARSERS[subtitles.ext](content);
+
+      // Deduplicate consecutive identical entries
+      const deduped = [];
+      for (const item of transcript) {
+        if (deduped.length === 0 || deduped[deduped.length - 1].text !== item.text) {
+          deduped.push(item);
+        }
+      }
+
+      return {
+        transcript: deduped,
+        language: subtitles.languageCode,
+        tracks: tracks.map(track => ({ languageCode: track.languageCode, name: null, kind: track.kind }))
+      };
+    } finally {
+      await rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  });
+}
@@ -0,0 +1,250 @@
+import { createHash } from 'crypto';
+import { createMemoryStore, hash } from './cache.js';
+import { createKvStore, isKvConfigured } from './kv.js';
+import { AppError, sendError } from './errors.js';
+
+// Fixed-window limits per client IP, or per API key when the request carries
+// one. The per-minute window counts requests; the daily quota counts analyses,
+// so a batch of 25 videos uses 25 of it. A limit of 0 turns that window off.
+//
+// API keys are issued with `npm run issue-key -- <name>` and configured as
+// API_KEYS='[{ "name": "...", "hash": "<sha256>", "dailyQuota": 500 }]', so
+// the keys themselves never sit in the environment.
+
+const MINUTE = 60;
+const DAY = 24 * 3600;
+
+export const RATE_LIMIT_HEADERS = ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After'];
+
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name] ?? '');
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function ipLimits() {
+  return {
+    perMinute: envLimit('RATE_LIMIT_IP_PER_MINUTE', 5),
+    perDay: envLimit('RATE_LIMIT_IP_PER_DAY', 30)
+  };
+}
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+let parsedKeys = { source: null, keys: new Map() };
+
+function apiKeys() {
+  const source = process.env.API_KEYS || '';
+  if (source === parsedKeys.source) return parsedKeys.keys;
+
+  const keys = new Map();
+  if (source) {
+    try {
+      for (const entry of JSON.parse(source)) {
+        if (entry && typeof entry.hash === 'string') {
+          keys.set(entry.hash.toLowerCase(), entry);
+        }
+      }
+    } catch (e) {
+      console.error('API_KEYS is not valid JSON:', e.message);
+    }
+  }
+
+  parsedKeys = { source, keys };
+  return keys;
+}
+
+export function clientIp(req) {
+  // Only trust X-Forwarded-For behind a proxy that sets it, or clients could
+  // pick a fresh address for every request
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded && (process.env.VERCEL || process.env.TRUST_PROXY === '1')) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket?.remoteAddress || req.ip || 'unknown';
+}
+
+function requestApiKey(req) {
+  const authorization = req.headers?.authorization || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  return (bearer ? bearer[1] : req.headers?.['x-api-key'] || '').trim();
+}
+
+// Who the request counts against: { id, name, perMinute, perDay } or { error }
+function identify(req) {
+  const key = requestApiKey(req);
+
+  if (key) {
+    const keyHash = hashApiKey(key);
+    const entry = apiKeys().get(keyHash);
+    if (!entry) {
+      return { error: new AppError('UNAUTHORIZED', 'Invalid API key') };
+    }
+    return {
+      id: `key:${keyHash.slice(0, 16)}`,
+      name: entry.name || null,
+      perMinute: entry.perMinute ?? envLimit('RATE_LIMIT_KEY_PER_MINUTE', 30),
+      perDay: entry.dailyQuota ?? envLimit('API_KEY_DAILY_QUOTA', 500)
+    };
+  }
+
+  if (process.env.REQUIRE_API_KEY === '1') {
+    return { error: new AppError('UNAUTHORIZED', 'An API key is required. Send it as "Authorization: Bearer <key>".') };
+  }
+
+  // Hashed so client addresses aren't stored in an external KV
+  return { id: `ip:${hash(clientIp(req))}`, name: null, ...ipLimits() };
+}
+
+let store = null;
+
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+// Serverless instances don't share memory, so use the KV store when one is
+// configured; server.js sets an in-memory store explicitly
+export function getRateLimitStore() {
+  if (!store) {
+    store = isKvConfigured() ? createKvStore() : createMemoryStore();
+  }
+  return store;
+}
+
+function currentWindow(seconds, now) {
+  const index = Math.floor(now / 1000 / seconds);
+  return { key: `${seconds}:${index}`, reset: (index + 1) * seconds };
+}
+
+function counterKey(identity, window) {
+  return `ratelimit:${identity.id}:${window.key}`;
+}
+
+function quotaFor(identity, used, reset) {
+  return {
+    scope: identity.id.startsWith('key:') ? 'key' : 'ip',
+    name: identity.name,
+    limit: identity.perDay || null,
+    remaining: identity.perDay ? Math.max(0, identity.perDay - used) : null,
+    reset: identity.perDay ? reset : null
+  };
+}
+
+function rateLimited(message, retryAfter, quota) {
+  return new AppError('RATE_LIMITED', message, { details: { retryAfter, quota } });
+}
+
+function formatReset(reset) {
+  return new Date(reset * 1000).toISOString().slice(11, 16) + ' UTC';
+}
+
+// Counts the request and returns { allowed, error, retryAfter, quota }, where
+// error is an AppError (UNAUTHORIZED or RATE_LIMITED) when not allowed.
+// A failing store lets requests through rather than taking the API down.
+// cost is charged against the daily quota (0 only checks some is left), and
+// given back when the quota can't cover it. countRequest: false charges
+// without counting another request against the per-minute limit, for work
+// priced once its size is known.
+export async function checkRateLimit(req, { cost = 1, countRequest = true } = {}) {
+  const identity = identify(req);
+  if (identity.error) {
+    return { allowed: false, error: identity.error };
+  }
+
+  const now = Date.now();
+  const minute = currentWindow(MINUTE, now);
+  const day = currentWindow(DAY, now);
+
+  let perMinuteCount = 0;
+  let perDayCount = 0;
+  try {
+    const counters = getRateLimitStore();
+    if (identity.perMinute && countRequest) {
+      perMinuteCount = await counters.increment(counterKey(identity, minute), MINUTE);
+    }
+    if (identity.perDay) {
+      perDayCount = await counters.increment(counterKey(identity, day), DAY, cost);
+    }
+  } catch (e) {
+    console.error('Rate limit store error:', e.message);
+    return { allowed: true, quota: null };
+  }
+
+  const overQuota = identity.perDay && (cost > 0 ? perDayCount > identity.perDay : perDayCount >= identity.perDay);
+  if (overQuota && cost > 0) {
+    try {
+      perDayCount = await getRateLimitStore().increment(counterKey(identity, day), DAY, -cost);
+    } catch (e) {
+      console.error('Rate limit store error:', e.message);
+    }
+  }
+
+  const quota = quotaFor(identity, perDayCount, day.reset);
+  const nowSeconds = Math.floor(now / 1000);
+
+  if (identity.perMinute && perMinuteCount > identity.perMinute) {
+    const retryAfter = Math.max(1, minute.reset - nowSeconds);
+    return {
+      allowed: false,
+      error: rateLimited(`Too many requests. Try again in ${retryAfter} seconds.`, retryAfter, quota),
+      retryAfter,
+      quota
+    };
+  }
+
+  if (overQuota) {
+    const retryAfter = Math.max(1, day.reset - nowSeconds);
+    return {
+      allowed: false,
+      error: rateLimited(`Daily quota of ${identity.perDay} used up. It resets at ${formatReset(day.reset)}.`, retryAfter, quota),
+      retryAfter,
+      quota
+    };
+  }
+
+  return { allowed: true, quota };
+}
+
+// Today's quota for the caller, without counting a request
+export async function getQuota(req) {
+  const identity = identify(req);
+  if (identity.error) {
+    return { error: identity.error };
+  }
+
+  const day = currentWindow(DAY, Date.now());
+  let used = 0;
+  if (identity.perDay) {
+    try {
+      used = (await getRateLimitStore().get(counterKey(identity, day))) || 0;
+    } catch (e) {
+      console.error('Rate limit store error:', e.message);
+    }
+  }
+  return quotaFor(identity, used, day.reset);
+}
+
+export function setRateLimitHeaders(res, result) {
+  if (result.quota?.limit) {
+    res.setHeader('X-RateLimit-Limit', String(result.quota.limit));
+    res.setHeader('X-RateLimit-Remaining', String(result.quota.remaining));
+    res.setHeader('X-RateLimit-Reset', String(result.quota.reset));
+  }
+  if (result.retryAfter) {
+    res.setHeader('Retry-After', String(result.retryAfter));
+  }
+}
+
+// For JSON handlers: counts the request, sets the headers and sends the 401
+// or 429 itself. Returns whether the handler should go on.
+export async function enforceRateLimit(req, res, options) {
+  const result = await checkRateLimit(req, options);
+  setRateLimitHeaders(res, result);
+
+  if (!result.allowed) {
+    sendError(req, res, result.error);
+    return false;
+  }
+  return true;
+}
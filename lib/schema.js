@@ -0,0 +1,314 @@
+import { AppError } from './errors.js';
+
+// Shape of the analysis Claude must return, enforced through tool use and
+// re-checked by validateAnalysis() before anything reaches the client.
+
+export const LIMITS = {
+  keyTopics: { min: 3, max: 10 },
+  chapters: { min: 1, max: 15 },
+  keyTakeaways: { min: 2, max: 10 },
+  segments: { min: 0, max: 6 },
+  audience: { min: 1, max: 6 },
+  keyPoints: { min: 1, max: 8 },
+  sectionChapters: { min: 1, max: 6 }
+};
+
+export const VERDICT_DECISIONS = ['watch', 'skim', 'skip'];
+
+export const ANALYSIS_TOOL = {
+  name: 'record_analysis',
+  description: 'Record the structured analysis of the video transcript.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      tldr: {
+        type: 'string',
+        description: '2-3 sentences capturing: 1) What the video is about, 2) Main purpose/value to viewer, 3) Who should watch (target audience)'
+      },
+      keyTopics: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: LIMITS.keyTopics.min,
+        maxItems: LIMITS.keyTopics.max,
+        description: 'Standalone insights written as complete thoughts, covering major themes'
+      },
+      chapters: {
+        type: 'array',
+        minItems: LIMITS.chapters.min,
+        maxItems: LIMITS.chapters.max,
+        items: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'integer', minimum: 0, description: 'Start of the chapter in seconds' },
+            title: { type: 'string' }
+          },
+          required: ['timestamp', 'title']
+        }
+      },
+      keyTakeaways: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: LIMITS.keyTakeaways.min,
+        maxItems: LIMITS.keyTakeaways.max,
+        description: 'Specific lessons, quotes, stats, or frameworks viewers should remember or do'
+      },
+      shouldWatch: {
+        type: 'string',
+        description: 'Brief recommendation: who should watch and who can skip'
+      },
+      verdict: {
+        type: 'object',
+        properties: {
+          decision: {
+            type: 'string',
+            enum: VERDICT_DECISIONS,
+            description: 'watch the whole video, skim only the listed segments, or skip it'
+          },
+          score: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 100,
+            description: 'How worth watching in full the video is, 0-100'
+          },
+          segments: {
+            type: 'array',
+            minItems: LIMITS.segments.min,
+            maxItems: LIMITS.segments.max,
+            description: 'The parts worth watching, in order and not overlapping',
+            items: {
+              type: 'object',
+              properties: {
+                start: { type: 'integer', minimum: 0, description: 'Start in seconds' },
+                end: { type: 'integer', minimum: 0, description: 'End in seconds' },
+                reason: { type: 'string', description: 'Why this part is worth it, one short sentence' }
+              },
+              required: ['start', 'end', 'reason']
+            }
+          },
+          audience: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: LIMITS.audience.min,
+            maxItems: LIMITS.audience.max,
+            description: 'Short target-audience tags, e.g. "backend engineers"'
+          }
+        },
+        required: ['decision', 'score', 'segments', 'audience']
+      }
+    },
+    required: ['tldr', 'keyTopics', 'chapters', 'keyTakeaways', 'shouldWatch', 'verdict']
+  }
+};
+
+// One section of a long transcript (lib/chunking.js), merged into the
+// analysis afterwards
+export const CHUNK_SUMMARY_TOOL = {
+  name: 'record_section_summary',
+  description: 'Record the summary of one section of the video transcript.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: {
+        type: 'string',
+        description: '3-5 sentences on what this section covers'
+      },
+      keyPoints: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: LIMITS.keyPoints.min,
+        maxItems: LIMITS.keyPoints.max,
+        description: 'Specific lessons, quotes, stats, or frameworks from this section'
+      },
+      chapters: {
+        type: 'array',
+        minItems: LIMITS.sectionChapters.min,
+        maxItems: LIMITS.sectionChapters.max,
+        description: 'Points in this section where a new topic starts',
+        items: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'integer', minimum: 0, description: 'Start of the chapter in seconds' },
+            title: { type: 'string' }
+          },
+          required: ['timestamp', 'title']
+        }
+      }
+    },
+    required: ['summary', 'keyPoints', 'chapters']
+  }
+};
+
+// The response carries the generic LLM_BAD_OUTPUT message; what was wrong
+// goes along as validationErrors
+export class AnalysisValidationError extends AppError {
+  constructor(errors) {
+    super('LLM_BAD_OUTPUT', undefined, { details: { validationErrors: errors } });
+    this.name = 'AnalysisValidationError';
+    this.errors = errors;
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function checkStringList(analysis, field, errors, path = field) {
+  const list = analysis[field];
+  const { min, max } = LIMITS[field];
+
+  if (!Array.isArray(list)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+  if (list.length < min || list.length > max) {
+    errors.push(`${path} must have ${min}-${max} items, got ${list.length}`);
+  }
+  list.forEach((item, i) => {
+    if (!isNonEmptyString(item)) {
+      errors.push(`${path}[${i}] must be a non-empty string`);
+    }
+  });
+}
+
+function checkChapters(chapters, duration, errors) {
+  const { min, max } = LIMITS.chapters;
+
+  if (!Array.isArray(chapters)) {
+    errors.push('chapters must be an array');
+    return;
+  }
+  if (chapters.length < min || chapters.length > max) {
+    errors.push(`chapters must have ${min}-${max} items, got ${chapters.length}`);
+  }
+
+  let previous = -1;
+  chapters.forEach((chapter, i) => {
+    if (!chapter || typeof chapter !== 'object') {
+      errors.push(`chapters[${i}] must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(chapter.title)) {
+      errors.push(`chapters[${i}].title must be a non-empty string`);
+    }
+
+    const { timestamp } = chapter;
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp) || timestamp < 0) {
+      errors.push(`chapters[${i}].timestamp must be a non-negative number of seconds`);
+      return;
+    }
+    if (timestamp <= previous) {
+      errors.push(`chapters[${i}].timestamp (${timestamp}) must be later than the previous chapter (${previous})`);
+    }
+    if (duration > 0 && timestamp >= duration) {
+      errors.push(`chapters[${i}].timestamp (${timestamp}) is past the end of the video (${duration}s)`);
+    }
+    previous = timestamp;
+  });
+}
+
+function isSeconds(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function checkVerdict(verdict, duration, errors) {
+  if (!verdict || typeof verdict !== 'object') {
+    errors.push('verdict must be an object');
+    return;
+  }
+
+  if (!VERDICT_DECISIONS.includes(verdict.decision)) {
+    errors.push(`verdict.decision must be one of ${VERDICT_DECISIONS.join(', ')}`);
+  }
+  if (!Number.isInteger(verdict.score) || verdict.score < 0 || verdict.score > 100) {
+    errors.push('verdict.score must be an integer from 0 to 100');
+  }
+  checkStringList(verdict, 'audience', errors, 'verdict.audience');
+
+  const { segments } = verdict;
+  const { min, max } = LIMITS.segments;
+  if (!Array.isArray(segments)) {
+    errors.push('verdict.segments must be an array');
+    return;
+  }
+  if (segments.length < min || segments.length > max) {
+    errors.push(`verdict.segments must have ${min}-${max} items, got ${segments.length}`);
+  }
+  if (verdict.decision === 'skim' && segments.length === 0) {
+    errors.push('verdict.segments must list the parts to watch when the decision is skim');
+  }
+
+  let previousEnd = -1;
+  segments.forEach((segment, i) => {
+    if (!segment || !isSeconds(segment.start) || !isSeconds(segment.end)) {
+      errors.push(`verdict.segments[${i}] must have start and end in seconds`);
+      return;
+    }
+    if (segment.end <= segment.start) {
+      errors.push(`verdict.segments[${i}] must end after it starts`);
+    }
+    if (segment.start < previousEnd) {
+      errors.push(`verdict.segments[${i}] overlaps or precedes the previous segment`);
+    }
+    if (duration > 0 && segment.end > duration) {
+      errors.push(`verdict.segments[${i}].end (${segment.end}) is past the end of the video (${duration}s)`);
+    }
+    previousEnd = segment.end;
+  });
+}
+
+// Returns a list of human-readable problems; empty when the analysis is valid
+export function validateAnalysis(analysis, { duration = 0 } = {}) {
+  if (!analysis || typeof analysis !== 'object') {
+    return ['analysis must be an object'];
+  }
+
+  const errors = [];
+
+  if (!isNonEmptyString(analysis.tldr)) {
+    errors.push('tldr must be a non-empty string');
+  }
+  if (!isNonEmptyString(analysis.shouldWatch)) {
+    errors.push('shouldWatch must be a non-empty string');
+  }
+  checkStringList(analysis, 'keyTopics', errors);
+  checkStringList(analysis, 'keyTakeaways', errors);
+  checkChapters(analysis.chapters, duration, errors);
+  checkVerdict(analysis.verdict, duration, errors);
+
+  return errors;
+}
+
+// Chapter timestamps are clamped into the section afterwards, so only their
+// type is checked here
+export function validateChunkSummary(summary) {
+  if (!summary || typeof summary !== 'object') {
+    return ['summary must be an object'];
+  }
+
+  const errors = [];
+
+  if (!isNonEmptyString(summary.summary)) {
+    errors.push('summary must be a non-empty string');
+  }
+  checkStringList(summary, 'keyPoints', errors);
+
+  const { chapters } = summary;
+  const { min, max } = LIMITS.sectionChapters;
+  if (!Array.isArray(chapters)) {
+    errors.push('chapters must be an array');
+    return errors;
+  }
+  if (chapters.length < min || chapters.length > max) {
+    errors.push(`chapters must have ${min}-${max} items, got ${chapters.length}`);
+  }
+  chapters.forEach((chapter, i) => {
+    if (!chapter || !isNonEmptyString(chapter.title)) {
+      errors.push(`chapters[${i}].title must be a non-empty string`);
+    }
+    if (!chapter || !isSeconds(chapter.timestamp)) {
+      errors.push(`chapters[${i}].timestamp must be a non-negative number of seconds`);
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,143 @@
+import { formatTimestamp } from './timestamp.js';
+
+// Chapter list exports: YouTube description block, WebVTT/SRT chapter tracks,
+// Podlove Simple Chapters and ID3 CHAP/CTOC frames. Every renderer takes the
+// analysis chapters ([{ timestamp, title }], seconds) and the video duration.
+
+// YouTube ignores description chapters unless the first starts at 0:00,
+// there are at least three, and each runs for at least ten seconds
+export const YOUTUBE_MIN_CHAPTERS = 3;
+export const YOUTUBE_MIN_CHAPTER_SECONDS = 10;
+
+export class ChapterExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChapterExportError';
+  }
+}
+
+function plainTitle(title) {
+  return String(title || '').replace(/\*\*([^*]+)\*\*/g, '$1').replace(/\s+/g, ' ').trim();
+}
+
+// Whole-second timestamps in order, one chapter per second, with the
+// formatted timestamp the UI shows
+export function normalizeChapters(chapters) {
+  const seen = new Set();
+
+  return (Array.isArray(chapters) ? chapters : [])
+    .filter(chapter => chapter && plainTitle(chapter.title))
+    .map(chapter => ({
+      ...chapter,
+      timestamp: Math.max(0, Math.floor(chapter.timestamp || 0)),
+      timestampFormatted: formatTimestamp(chapter.timestamp || 0)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .filter(chapter => {
+      if (seen.has(chapter.timestamp)) return false;
+      seen.add(chapter.timestamp);
+      return true;
+    });
+}
+
+// Each chapter with the time it ends: the next chapter's start, or the end of the video
+function withEnds(chapters, duration) {
+  return chapters.map((chapter, i) => {
+    const next = chapters[i + 1];
+    const end = next ? next.timestamp : Math.max(duration || 0, chapter.timestamp + 1);
+    return { start: chapter.timestamp, end, title: plainTitle(chapter.title) };
+  });
+}
+
+// Adjusts the chapters to YouTube's rules: the first moves to 0:00 (or an
+// "Intro" chapter is added), chapters closer than ten seconds to the previous
+// one or to the end of the video are dropped. Throws if fewer than three remain.
+export function youtubeChapters(chapters, duration = 0) {
+  const result = [];
+
+  for (const chapter of normalizeChapters(chapters)) {
+    const title = plainTitle(chapter.title);
+
+    if (result.length === 0) {
+      if (chapter.timestamp >= YOUTUBE_MIN_CHAPTER_SECONDS) {
+        result.push({ timestamp: 0, title: 'Intro' });
+      } else {
+        result.push({ timestamp: 0, title });
+        continue;
+      }
+    }
+
+    if (chapter.timestamp - result[result.length - 1].timestamp < YOUTUBE_MIN_CHAPTER_SECONDS) continue;
+    result.push({ timestamp: chapter.timestamp, title });
+  }
+
+  while (duration > 0 && result.length > 1 && duration - result[result.length - 1].timestamp < YOUTUBE_MIN_CHAPTER_SECONDS) {
+    result.pop();
+  }
+
+  if (result.length < YOUTUBE_MIN_CHAPTERS) {
+    throw new ChapterExportError(
+      `YouTube needs at least ${YOUTUBE_MIN_CHAPTERS} chapters of ${YOUTUBE_MIN_CHAPTER_SECONDS} seconds or more; this video has ${result.length}.`
+    );
+  }
+
+  return result;
+}
+
+export function toYouTubeDescription(chapters, { duration = 0 } = {}) {
+  return youtubeChapters(chapters, duration)
+    .map(chapter => `${formatTimestamp(chapter.timestamp)} ${chapter.title}`)
+    .join('\n') + '\n';
+}
+
+// 01:02:05.000 (WebVTT, Podlove) or 01:02:05,000 (SRT)
+function clockTime(seconds, separator = '.') {
+  const ms = Math.round(seconds * 1000);
+  const hrs = Math.floor(ms / 3600000);
+  const mins = Math.floor((ms % 3600000) / 60000);
+  const secs = Math.floor((ms % 60000) / 1000);
+  const pad = (value, length = 2) => value.toString().padStart(length, '0');
+  return `${pad(hrs)}:${pad(mins)}:${pad(secs)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+export function toWebVTT(chapters, { duration = 0 } = {}) {
+  const cues = withEnds(normalizeChapters(chapters), duration).map((chapter, i) =>
+    `${i + 1}\n${clockTime(chapter.start)} --> ${clockTime(chapter.end)}\n${chapter.title}`
+  );
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+export function toSRT(chapters, { duration = 0 } = {}) {
+  return withEnds(normalizeChapters(chapters), duration).map((chapter, i) =>
+    `${i + 1}\n${clockTime(chapter.start, ',')} --> ${clockTime(chapter.end, ',')}\n${chapter.title}`
+  ).join('\n\n') + '\n';
+}
+
+// Podlove Simple Chapters as the Podlove Web Player reads them
+export function toPodlove(chapters, { videoId } = {}) {
+  const list = normalizeChapters(chapters).map(chapter => ({
+    start: clockTime(chapter.timestamp),
+    title: plainTitle(chapter.title),
+    href: videoId ? `https://www.youtube.com/watch?v=${videoId}&t=${chapter.timestamp}s` : '',
+    image: ''
+  }));
+  return JSON.stringify(list, null, 2) + '\n';
+}
+
+// ID3v2 CHAP frames plus a CTOC listing them, in the shape node-id3 and
+// similar taggers accept
+export function toID3(chapters, { duration = 0 } = {}) {
+  const chapter = withEnds(normalizeChapters(chapters), duration).map((item, i) => ({
+    elementID: `chp${i}`,
+    startTimeMs: item.start * 1000,
+    endTimeMs: item.end * 1000,
+    tags: { title: item.title }
+  }));
+  const tableOfContents = [{
+    elementID: 'toc',
+    isOrdered: true,
+    elements: chapter.map(item => item.elementID),
+    tags: { title: 'Chapters' }
+  }];
+  return JSON.stringify({ chapter, tableOfContents }, null, 2) + '\n';
+}
@@ -0,0 +1,288 @@
+import { formatTimestamp, parseTimestamp } from './timestamp.js';
+import { toYouTubeDescription, toWebVTT, toSRT, toPodlove, toID3 } from './chapters.js';
+
+// Renders an analysis (the /api/analyze response) as a downloadable document.
+// Used by the browser for Copy/Download and by the API for ?format=.
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' },
+  obsidian: { label: 'Notion / Obsidian', extension: 'md', mimeType: 'text/markdown' },
+  // Chapters only
+  youtube: { label: 'YouTube description chapters', extension: 'chapters.txt', mimeType: 'text/plain' },
+  vtt: { label: 'WebVTT chapters', extension: 'chapters.vtt', mimeType: 'text/vtt' },
+  srt: { label: 'SRT chapters', extension: 'chapters.srt', mimeType: 'application/x-subrip' },
+  podlove: { label: 'Podlove Simple Chapters', extension: 'podlove.json', mimeType: 'application/json' },
+  id3: { label: 'ID3 chapters', extension: 'id3.json', mimeType: 'application/json' }
+};
+
+const DECISION_LABELS = {
+  watch: 'Watch it',
+  skim: 'Skim it',
+  skip: 'Skip it'
+};
+
+// Accept types that map to a format; application/json keeps the raw response
+const ACCEPT_FORMATS = {
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text'
+};
+
+export function videoUrl(videoId, seconds) {
+  const url = `https://www.youtube.com/watch?v=${videoId}`;
+  return seconds ? `${url}&t=${seconds}s` : url;
+}
+
+function stripMarkdown(text) {
+  return (text || '').replace(/\*\*([^*]+)\*\*/g, '$1');
+}
+
+function describeVerdict(verdict) {
+  if (!verdict || !DECISION_LABELS[verdict.decision]) return '';
+
+  let label = DECISION_LABELS[verdict.decision];
+  if (typeof verdict.score === 'number') {
+    label += ` (${verdict.score}/100)`;
+  }
+  if (verdict.timeSavedSeconds > 0) {
+    label += `, saves ${verdict.timeSavedFormatted || formatTimestamp(verdict.timeSavedSeconds)}`;
+  }
+  return label;
+}
+
+function chaptersOf(analysis) {
+  return (analysis.chapters || []).filter(chapter => chapter.title);
+}
+
+function segmentsOf(analysis) {
+  const segments = analysis.verdict?.segments || [];
+  return analysis.verdict?.decision === 'watch' ? [] : segments;
+}
+
+function metaLine(analysis) {
+  return [
+    analysis.channelTitle,
+    analysis.duration,
+    analysis.publishedAt
+  ].filter(Boolean).join(' · ');
+}
+
+export function toMarkdown(analysis) {
+  const url = videoUrl(analysis.videoId);
+  const lines = [`# ${analysis.title || 'Video Analysis'}`, ''];
+
+  const meta = metaLine(analysis);
+  if (meta) lines.push(meta, '');
+  lines.push(`[Watch on YouTube](${url})`, '');
+
+  const verdict = describeVerdict(analysis.verdict);
+  if (verdict) lines.push(`**Verdict:** ${verdict}`, '');
+
+  lines.push('## TL;DR', '', analysis.tldr || '', '');
+
+  if (analysis.keyTopics?.length) {
+    lines.push('## Key Topics', '', ...analysis.keyTopics.map(topic => `- ${topic}`), '');
+  }
+
+  if (analysis.keyTakeaways?.length) {
+    lines.push('## Key Takeaways', '');
+    analysis.keyTakeaways.forEach((takeaway, i) => {
+      const timestamp = analysis.takeawayTimestamps?.[i];
+      const link = typeof timestamp === 'number'
+        ? ` ([${formatTimestamp(timestamp)}](${videoUrl(analysis.videoId, timestamp)}))`
+        : '';
+      lines.push(`${i + 1}. ${takeaway}${link}`);
+    });
+    lines.push('');
+  }
+
+  const chapters = chaptersOf(analysis);
+  if (chapters.length) {
+    lines.push('## Chapters', '');
+    chapters.forEach(chapter => {
+      const timestamp = chapter.timestamp || 0;
+      lines.push(`- [${formatTimestamp(timestamp)}](${videoUrl(analysis.videoId, timestamp)}) ${chapter.title}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Should You Watch?', '', analysis.shouldWatch || '', '');
+
+  const audience = analysis.verdict?.audience || [];
+  if (audience.length) {
+    lines.push(`**For:** ${audience.join(', ')}`, '');
+  }
+
+  const segments = segmentsOf(analysis);
+  if (segments.length) {
+    lines.push('**Watch only these parts:**', '');
+    segments.forEach(segment => {
+      lines.push(`- [${formatTimestamp(segment.start)}–${formatTimestamp(segment.end)}](${videoUrl(analysis.videoId, segment.start)}) ${segment.reason}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+export function toText(analysis) {
+  const url = videoUrl(analysis.videoId);
+  const lines = [analysis.title || 'Video Analysis'];
+
+  const meta = metaLine(analysis);
+  if (meta) lines.push(meta);
+  lines.push(url, '');
+
+  const verdict = describeVerdict(analysis.verdict);
+  if (verdict) lines.push(`Verdict: ${verdict}`, '');
+
+  lines.push('TL;DR', stripMarkdown(analysis.tldr), '');
+
+  if (analysis.keyTopics?.length) {
+    lines.push('Key topics', ...analysis.keyTopics.map(topic => `- ${stripMarkdown(topic)}`), '');
+  }
+
+  if (analysis.keyTakeaways?.length) {
+    lines.push('Key takeaways');
+    analysis.keyTakeaways.forEach((takeaway, i) => {
+      const timestamp = analysis.takeawayTimestamps?.[i];
+      const at = typeof timestamp === 'number' ? ` (${formatTimestamp(timestamp)})` : '';
+      lines.push(`${i + 1}. ${stripMarkdown(takeaway)}${at}`);
+    });
+    lines.push('');
+  }
+
+  const chapters = chaptersOf(analysis);
+  if (chapters.length) {
+    lines.push('Chapters', ...chapters.map(chapter => `${formatTimestamp(chapter.timestamp || 0)} ${stripMarkdown(chapter.title)}`), '');
+  }
+
+  lines.push('Should you watch?', stripMarkdown(analysis.shouldWatch), '');
+
+  const audience = analysis.verdict?.audience || [];
+  if (audience.length) {
+    lines.push(`For: ${audience.join(', ')}`, '');
+  }
+
+  const segments = segmentsOf(analysis);
+  if (segments.length) {
+    lines.push('Watch only these parts', ...segments.map(segment =>
+      `${formatTimestamp(segment.start)}–${formatTimestamp(segment.end)} ${segment.reason}`
+    ), '');
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+// The analysis itself, without pipeline details like provider attempts or cache state
+export function toJson(analysis) {
+  const exported = {
+    videoId: analysis.videoId,
+    url: videoUrl(analysis.videoId),
+    title: analysis.title,
+    channelTitle: analysis.channelTitle,
+    duration: analysis.duration,
+    publishedAt: analysis.publishedAt,
+    tldr: analysis.tldr,
+    keyTopics: analysis.keyTopics || [],
+    chapters: chaptersOf(analysis).map(chapter => ({
+      timestamp: chapter.timestamp || 0,
+      timestampFormatted: formatTimestamp(chapter.timestamp || 0),
+      title: chapter.title
+    })),
+    keyTakeaways: analysis.keyTakeaways || [],
+    takeawayTimestamps: analysis.takeawayTimestamps || [],
+    shouldWatch: analysis.shouldWatch,
+    verdict: analysis.verdict || null,
+    transcriptLanguage: analysis.transcriptLanguage,
+    outputLanguage: analysis.outputLanguage
+  };
+  return JSON.stringify(exported, null, 2) + '\n';
+}
+
+// Markdown with YAML front-matter, which Obsidian reads as note properties and
+// Notion's markdown import keeps as the page header
+export function toObsidian(analysis, { date = new Date() } = {}) {
+  const verdict = analysis.verdict;
+  const tags = ['youtube', ...(verdict?.decision ? [`verdict/${verdict.decision}`] : [])];
+  // JSON strings are valid YAML double-quoted scalars
+  const frontMatter = [
+    '---',
+    `title: ${JSON.stringify(analysis.title || 'Video Analysis')}`,
+    `channel: ${JSON.stringify(analysis.channelTitle || '')}`,
+    `url: ${videoUrl(analysis.videoId)}`,
+    `video_id: ${JSON.stringify(analysis.videoId)}`,
+    `duration: ${JSON.stringify(analysis.duration || '')}`,
+    `published: ${JSON.stringify(analysis.publishedAt || '')}`,
+    ...(verdict?.decision ? [`verdict: ${verdict.decision}`] : []),
+    ...(typeof verdict?.score === 'number' ? [`score: ${verdict.score}`] : []),
+    `tags: [${tags.join(', ')}]`,
+    `created: ${date.toISOString().slice(0, 10)}`,
+    '---',
+    ''
+  ];
+  return frontMatter.join('\n') + toMarkdown(analysis);
+}
+
+// Analyses saved before durationSeconds existed only have the formatted duration
+function chapterOptions(analysis) {
+  return {
+    duration: analysis.durationSeconds ?? parseTimestamp(analysis.duration),
+    videoId: analysis.videoId
+  };
+}
+
+const RENDERERS = {
+  markdown: toMarkdown,
+  json: toJson,
+  text: toText,
+  obsidian: toObsidian,
+  youtube: analysis => toYouTubeDescription(analysis.chapters, chapterOptions(analysis)),
+  vtt: analysis => toWebVTT(analysis.chapters, chapterOptions(analysis)),
+  srt: analysis => toSRT(analysis.chapters, chapterOptions(analysis)),
+  podlove: analysis => toPodlove(analysis.chapters, chapterOptions(analysis)),
+  id3: analysis => toID3(analysis.chapters, chapterOptions(analysis))
+};
+
+export function renderExport(analysis, format) {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return render(analysis);
+}
+
+export function exportFilename(analysis, format) {
+  const slug = (analysis.title || analysis.videoId || 'video')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || analysis.videoId;
+  return `${slug}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Picks an export format from an Accept header, or null for the default JSON response
+export function formatFromAccept(accept) {
+  if (!accept) return null;
+
+  for (const part of accept.split(',')) {
+    const type = part.split(';')[0].trim().toLowerCase();
+    if (ACCEPT_FORMATS[type]) return ACCEPT_FORMATS[type];
+    if (type === 'application/json' || type === '*/*') return null;
+  }
+  return null;
+}
+
+// Short text for the Web Share API and the copy-link fallback
+export function shareText(analysis) {
+  const verdict = describeVerdict(analysis.verdict);
+  return [
+    analysis.title,
+    verdict ? `Verdict: ${verdict}` : '',
+    stripMarkdown(analysis.tldr)
+  ].filter(Boolean).join('\n\n');
+}
@@ -0,0 +1,17 @@
+// Shared with the browser (served at /lib/shared), so no Node imports here
+export function formatTimestamp(seconds) {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+
+  if (hrs > 0) {
+    return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Inverse of formatTimestamp: '1:02:05' -> 3725. Returns 0 for anything else.
+export function parseTimestamp(text) {
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(text || '')) return 0;
+  return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
@@ -0,0 +1,21 @@
+// Same patterns as extractVideoId in app.js (and the extension's copy);
+// those run as classic scripts and can't import this module.
+const VIDEO_URL_PATTERNS = [
+  /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/,
+  /youtube\.com\/shorts\/([a-zA-Z0-9_-]{11})/
+];
+
+export function extractVideoId(url) {
+  for (const pattern of VIDEO_URL_PATTERNS) {
+    const match = url.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// A URL or a bare 11-character video ID
+export function parseVideoInput(input) {
+  const value = input.trim();
+  if (/^[a-zA-Z0-9_-]{11}$/.test(value)) return value;
+  return extractVideoId(value);
+}
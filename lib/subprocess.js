@@ -0,0 +1,99 @@
+import { spawn } from 'child_process';
+import { basename } from 'path';
+
+const MAX_OUTPUT_CHARS = 1024 * 1024;
+// How long a process gets to exit after SIGTERM before it is killed outright
+const KILL_GRACE_MS = 5000;
+
+export class ProcessError extends Error {
+  constructor(message, { exitCode = null, stderr = '', timedOut = false } = {}) {
+    super(message);
+    this.name = 'ProcessError';
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+    this.timedOut = timedOut;
+  }
+}
+
+// The last "ERROR: ..." line a CLI printed, or its last line of output
+function describeFailure(stderr) {
+  const lines = stderr.split('\n').map(line => line.trim()).filter(Boolean);
+  const error = lines.filter(line => line.startsWith('ERROR:')).pop();
+  return (error || lines.pop() || '').replace(/^ERROR:\s*/, '');
+}
+
+// Runs a command without a shell, so arguments are never interpreted.
+// Resolves to { stdout, stderr }; rejects with a ProcessError on a non-zero
+// exit or timeout, and with signal.reason when the signal aborts. Either
+// way it settles only once the process has exited, so callers can clean up
+// files it was writing.
+export function runProcess(command, args, { signal, timeout = 0, cwd } = {}) {
+  const label = basename(command);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+    let stdout = '';
+    let stderr = '';
+    let failure = null;
+    let timer = null;
+    let killTimer = null;
+
+    const stop = reason => {
+      if (failure) return;
+      failure = reason;
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref();
+    };
+    const onAbort = () => stop(signal.reason);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (timeout) {
+      timer = setTimeout(() => stop(new ProcessError(`${label} timed out after ${Math.round(timeout / 1000)}s`, { timedOut: true })), timeout);
+    }
+
+    child.stdout.setEncoding('utf-8').on('data', chunk => {
+      if (stdout.length < MAX_OUTPUT_CHARS) stdout += chunk;
+    });
+    child.stderr.setEncoding('utf-8').on('data', chunk => {
+      if (stderr.length < MAX_OUTPUT_CHARS) stderr += chunk;
+    });
+
+    let settled = false;
+    const settle = () => {
+      if (settled) return false;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', onAbort);
+      return true;
+    };
+
+    child.on('error', error => {
+      if (settle()) reject(failure || error);
+    });
+
+    // A stopped process counts as done once it exits, even if something it
+    // spawned still holds its output open
+    child.on('exit', () => {
+      if (failure && settle()) reject(failure);
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      if (!settle()) return;
+      if (failure) {
+        reject(failure);
+      } else if (exitCode === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        const detail = describeFailure(stderr) || `exited with ${exitCode ?? exitSignal}`;
+        reject(new ProcessError(`${label}: ${detail}`, { exitCode, stderr }));
+      }
+    });
+  });
+}
@@ -0,0 +1,160 @@
+import * as supadata from './providers/supadata.js';
+import * as innertube from './providers/innertube.js';
+import * as timedtext from './providers/timedtext.js';
+import * as ytdlp from './providers/ytdlp.js';
+import { AppError } from './errors.js';
+import { HttpError } from './http.js';
+import { createCircuitBreaker } from './circuit.js';
+
+// Every provider exports { name, isAvailable(), fetchTranscript(videoId, { lang, signal }) }
+// and resolves to { transcript, language, tracks }: a normalized
+// [{ text, offset, duration }] array (ms), the language code it is in, and
+// the caption tracks the provider saw ([{ languageCode, name, kind }]).
+const providers = new Map();
+
+export const DEFAULT_PROVIDER_ORDER = ['supadata', 'innertube', 'timedtext', 'ytdlp'];
+
+// Codes a provider can fail with that explain why no provider could help,
+// most telling first. Failures without one (no caption track, an empty
+// file) mean the video has no captions.
+const VIDEO_CODES = ['VIDEO_NOT_FOUND', 'VIDEO_PRIVATE', 'AGE_RESTRICTED', 'LIVE_STREAM'];
+const TRANSIENT_CODES = ['PROVIDER_QUOTA', 'TIMEOUT', 'PROVIDER_UNAVAILABLE'];
+
+function failureCode(attempts) {
+  // Providers skipped by their circuit breaker count as failing for that reason
+  const codes = attempts
+    .filter(attempt => attempt.status === 'failed' || attempt.code)
+    .map(attempt => attempt.code);
+  const videoCode = VIDEO_CODES.find(code => codes.includes(code));
+  if (videoCode) return videoCode;
+
+  // Worth retrying only when every provider that ran failed for a passing reason
+  if (codes.length > 0 && codes.every(code => TRANSIENT_CODES.includes(code))) {
+    return TRANSIENT_CODES.find(code => codes.includes(code));
+  }
+  return 'NO_CAPTIONS';
+}
+
+export class TranscriptUnavailableError extends AppError {
+  constructor(attempts) {
+    super(failureCode(attempts), undefined, { details: { transcriptAttempts: attempts } });
+    this.name = 'TranscriptUnavailableError';
+    this.attempts = attempts;
+  }
+}
+
+function attemptCode(error) {
+  if (error instanceof AppError) return error.code;
+  if (error.name === 'TimeoutError') return 'TIMEOUT';
+  return undefined;
+}
+
+// A provider that keeps timing out or erroring is skipped for a while, so
+// requests go straight to the next one instead of waiting on it each time.
+// State is per process (per serverless instance).
+const BREAKER_THRESHOLD = parseInt(process.env.TRANSCRIPT_BREAKER_THRESHOLD || '') || 3;
+const BREAKER_COOLDOWN_MS = (parseInt(process.env.TRANSCRIPT_BREAKER_COOLDOWN || '') || 60) * 1000;
+const breakers = new Map();
+
+function breakerFor(providerName) {
+  if (!breakers.has(providerName)) {
+    breakers.set(providerName, createCircuitBreaker({ threshold: BREAKER_THRESHOLD, cooldown: BREAKER_COOLDOWN_MS }));
+  }
+  return breakers.get(providerName);
+}
+
+export function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+// Failures that say the provider is unhealthy. A video without captions, or
+// one YouTube won't play, says nothing about it.
+function isProviderFault(error) {
+  if (TRANSIENT_CODES.includes(attemptCode(error))) return true;
+  if (error instanceof HttpError) return error.status >= 500;
+  // fetch() rejects with a TypeError when the connection fails
+  return error instanceof TypeError;
+}
+
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+export function getProviderOrder() {
+  const configured = process.env.TRANSCRIPT_PROVIDERS;
+  if (!configured) return DEFAULT_PROVIDER_ORDER;
+
+  return configured
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// onAttempt is called with { provider, status, error } as each provider is
+// tried ('trying') and settles ('succeeded', 'failed' or 'skipped').
+// lang is a preferred caption language; providers fall back to what exists.
+// An aborted signal stops the search instead of moving on to the next provider.
+export async function getTranscript(videoId, { lang, signal, order = getProviderOrder(), onAttempt = () => {} } = {}) {
+  const attempts = [];
+  const record = attempt => {
+    attempts.push(attempt);
+    onAttempt(attempt);
+  };
+
+  for (const providerName of order) {
+    const provider = providers.get(providerName);
+
+    if (!provider) {
+      record({ provider: providerName, status: 'skipped', error: 'Unknown provider' });
+      continue;
+    }
+
+    if (!provider.isAvailable()) {
+      record({ provider: providerName, status: 'skipped', error: 'Not configured' });
+      continue;
+    }
+
+    const breaker = breakerFor(providerName);
+    if (!breaker.allow()) {
+      record({
+        provider: providerName,
+        status: 'skipped',
+        error: `Failing repeatedly, retrying in ${breaker.retryIn()}s`,
+        code: 'PROVIDER_UNAVAILABLE'
+      });
+      continue;
+    }
+
+    signal?.throwIfAborted();
+    onAttempt({ provider: providerName, status: 'trying' });
+
+    try {
+      const result = await provider.fetchTranscript(videoId, { lang, signal });
+      breaker.success();
+      if (result && result.transcript.length > 0) {
+        record({ provider: providerName, status: 'succeeded' });
+        return {
+          transcript: result.transcript,
+          language: result.language || null,
+          tracks: result.tracks || [],
+          provider: providerName,
+          attempts
+        };
+      }
+      record({ provider: providerName, status: 'failed', error: 'Empty transcript' });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      if (isProviderFault(e)) {
+        breaker.failure();
+      } else {
+        breaker.success();
+      }
+      record({ provider: providerName, status: 'failed', error: e.message, code: attemptCode(e) });
+    }
+  }
+
+  console.error('All transcript methods failed:', attempts.map(a => `${a.provider}: ${a.error}`).join('; '));
+  throw new TranscriptUnavailableError(attempts);
+}
+
+[supadata, innertube, timedtext, ytdlp].forEach(registerProvider);
@@ -0,0 +1,20 @@
+// Where each outside service lives. With FIXTURE_SERVER set (see
+// scripts/fixture-server.js) every one of them goes through that server
+// instead, under /<service>, which replays recorded responses.
+export const UPSTREAM_ORIGINS = {
+  'youtube-api': 'https://www.googleapis.com',
+  youtube: 'https://www.youtube.com',
+  supadata: 'https://api.supadata.ai',
+  anthropic: 'https://api.anthropic.com'
+};
+
+export function isFixtureMode() {
+  return Boolean(process.env.FIXTURE_SERVER);
+}
+
+export function upstream(service) {
+  if (isFixtureMode()) {
+    return `${process.env.FIXTURE_SERVER.replace(/\/+$/, '')}/${service}`;
+  }
+  return UPSTREAM_ORIGINS[service];
+}
@@ -4,6 +4,7 @@
   const form = document.getElementById('analyze-form');
   const urlInput = document.getElementById('video-url');
   const analyzeBtn = document.getElementById('analyze-btn');
+  const quotaStatus = document.getElementById('quota-status');
   const errorMessage = document.getElementById('error-message');
   const results = document.getElementById('results');
   const loadingOverlay = document.getElementById('loading-overlay');
@@ -12,6 +13,7 @@
   const videoTitle = document.getElementById('video-title');
   const channelName = document.getElementById('channel-name');
   const channelInitial = document.getElementById('channel-initial');
+  const videoStats = document.getElementById('video-stats');
   const likeCount = document.getElementById('like-count');
   const videoDuration = document.getElementById('video-duration');
   const viewCount = document.getElementById('view-count');
@@ -22,6 +24,86 @@
   const chaptersListEl = document.getElementById('chapters-list');
   const keyTakeawaysEl = document.getElementById('key-takeaways');
   const shouldWatchEl = document.getElementById('should-watch');
+  const verdictBadge = document.getElementById('verdict-badge');
+  const audienceTagsEl = document.getElementById('audience-tags');
+  const watchSegmentsEl = document.getElementById('watch-segments');
+  const watchSegmentsListEl = document.getElementById('watch-segments-list');
+  const analysisStatus = document.getElementById('analysis-status');
+  const transcriptLanguageSelect = document.getElementById('transcript-language');
+  const outputLanguageSelect = document.getElementById('output-language');
+  const captionLanguage = document.getElementById('caption-language');
+  const panelTabs = document.querySelectorAll('.panel-tabs .tab');
+  const panels = document.querySelectorAll('[data-panel]');
+  const transcriptBody = document.getElementById('transcript-body');
+  const transcriptSearch = document.getElementById('transcript-search');
+  const transcriptHits = document.getElementById('transcript-hits');
+  const transcriptPrev = document.getElementById('transcript-prev');
+  const transcriptNext = document.getElementById('transcript-next');
+  const transcriptChapter = document.getElementById('transcript-chapter');
+  const videoPlayerEl = document.getElementById('video-player');
+  const chapterControls = document.getElementById('chapter-controls');
+  const chapterNow = document.getElementById('chapter-now');
+  const chapterSkip = document.getElementById('chapter-skip');
+  const chapterStop = document.getElementById('chapter-stop');
+  const playChaptersBtn = document.getElementById('play-chapters');
+  const copyChaptersBtn = document.getElementById('copy-chapters');
+  const embedPlayerToggle = document.getElementById('embed-player');
+  const copyBtn = document.getElementById('copy-btn');
+  const downloadBtn = document.getElementById('download-btn');
+  const downloadMenu = document.getElementById('download-menu');
+  const shareBtn = document.getElementById('share-btn');
+  const actionFeedback = document.getElementById('action-feedback');
+  const chatMessagesEl = document.getElementById('chat-messages');
+  const chatForm = document.getElementById('chat-form');
+  const chatInput = document.getElementById('chat-input');
+  const chatSend = document.getElementById('chat-send');
+  const profileInputs = {
+    role: document.getElementById('profile-role'),
+    interests: document.getElementById('profile-interests'),
+    knownTopics: document.getElementById('profile-known'),
+    timeBudgetMinutes: document.getElementById('profile-budget')
+  };
+
+  const PROFILE_STORAGE_KEY = 'shouldIWatch.profile';
+  const EMBED_STORAGE_KEY = 'shouldIWatch.embedPlayer';
+
+  // Embedded player state. renderedChapters is the chapter list as shown,
+  // so list positions line up with chapter indexes.
+  let currentVideoId = null;
+  let renderedChapters = [];
+  let youtubeApi = null;
+  let player = null;
+  let playerReady = null;
+  let playerTimer = null;
+  let chapterMode = false;
+
+  // lib/shared/export.js, loaded the first time something is exported
+  let exporter = null;
+  let feedbackTimer = null;
+
+  // The video the chat is about and the turns so far, reset on every analysis
+  let currentVideo = null;
+  let chatHistory = [];
+
+  // Transcript paragraphs as [{ textEl, text }] and the search matches in them
+  let transcriptParagraphs = [];
+  let transcriptMatches = [];
+  let currentMatch = -1;
+
+  // Paragraphs break at a sentence end once they reach this many characters
+  const PARAGRAPH_CHARS = 400;
+
+  const DECISION_LABELS = {
+    watch: 'Watch it',
+    skim: 'Skim it',
+    skip: 'Skip it'
+  };
+
+  const STAGE_LABELS = {
+    trying: 'Fetching transcript via',
+    succeeded: 'Transcript fetched via',
+    failed: 'Transcript unavailable via'
+  };
 
   function extractVideoId(url) {
     const patterns = [
@@ -47,16 +129,183 @@
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   }
 
-  function showError(message) {
-    errorMessage.textContent = message;
+  function languageName(code) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (e) {
+      return code;
+    }
+  }
+
+  function getLanguageOptions() {
+    const options = { outputLanguage: outputLanguageSelect.value };
+    if (transcriptLanguageSelect.value) {
+      options.transcriptLanguage = transcriptLanguageSelect.value;
+    }
+    return options;
+  }
+
+  function loadProfile() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY)) || {};
+    } catch (e) {
+      saved = {};
+    }
+    Object.entries(profileInputs).forEach(([key, input]) => {
+      input.value = saved[key] || '';
+    });
+  }
+
+  function saveProfile() {
+    const values = {};
+    Object.entries(profileInputs).forEach(([key, input]) => {
+      values[key] = input.value.trim();
+    });
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(values));
+  }
+
+  // Null when the profile is empty, so the server returns the generic analysis
+  function getProfile() {
+    const profile = {
+      role: profileInputs.role.value.trim(),
+      interests: profileInputs.interests.value.split(',').map(s => s.trim()).filter(Boolean),
+      knownTopics: profileInputs.knownTopics.value.split(',').map(s => s.trim()).filter(Boolean),
+      timeBudgetMinutes: parseInt(profileInputs.timeBudgetMinutes.value) || null
+    };
+    const empty = !profile.role && profile.interests.length === 0
+      && profile.knownTopics.length === 0 && !profile.timeBudgetMinutes;
+    return empty ? null : profile;
+  }
+
+  function getRequestOptions() {
+    const options = getLanguageOptions();
+    const profile = getProfile();
+    if (profile) {
+      options.profile = profile;
+    }
+    return options;
+  }
+
+  function renderCaptionLanguage(data) {
+    if (!data.transcriptLanguage) {
+      captionLanguage.textContent = '';
+      return;
+    }
+
+    const source = languageName(data.transcriptLanguage);
+    const output = data.outputLanguage ? languageName(data.outputLanguage) : source;
+    captionLanguage.textContent = source === output
+      ? `${source} captions`
+      : `${source} captions, summarized in ${output}`;
+
+    const tracks = (data.captionTracks || []).map(track =>
+      `${track.name || languageName(track.languageCode)}${track.kind === 'auto' ? ' (auto)' : ''}`
+    );
+    captionLanguage.title = tracks.length > 0 ? `Available captions: ${tracks.join(', ')}` : '';
+  }
+
+  // What to do next, by the server's error code
+  const ERROR_GUIDANCE = {
+    NO_CAPTIONS: 'Only videos with captions (manual or auto-generated) can be analyzed. Try another video.',
+    VIDEO_PRIVATE: 'Private videos can\'t be analyzed. Ask the owner to make it public or unlisted.',
+    VIDEO_NOT_FOUND: 'Check the link. The video may have been deleted.',
+    AGE_RESTRICTED: 'YouTube only shows age-restricted videos to signed-in viewers, so they can\'t be analyzed.',
+    LIVE_STREAM: 'Come back once the stream has ended and YouTube has made captions for it.',
+    PROVIDER_QUOTA: 'The transcript service is busy. Try again in a few minutes.',
+    PROVIDER_UNAVAILABLE: 'YouTube or the transcript service is failing. Try again in a few minutes.',
+    LLM_OVERLOADED: 'The AI is busy. Wait a minute and try again.',
+    LLM_BAD_OUTPUT: 'This usually works on a second try.',
+    TIMEOUT: 'Long videos take longer. Try again, it may already be cached.',
+    RATE_LIMITED: 'You\'ve hit the request limit.'
+  };
+
+  // An Error carrying the fields of the server's error response
+  function apiError(data, fallback) {
+    const error = new Error(data.message || fallback);
+    error.code = data.code;
+    error.retryable = data.retryable;
+    error.requestId = data.requestId;
+    error.retryAfter = data.retryAfter;
+    return error;
+  }
+
+  let retryTimer = null;
+
+  // Errors without a code (network failures) are worth retrying too
+  function showError(message, { code, retryable = !code, requestId, retryAfter } = {}) {
+    clearInterval(retryTimer);
+    errorMessage.innerHTML = `
+      <p class="error-text">${escapeHtml(message)}</p>
+      ${ERROR_GUIDANCE[code] ? `<p class="error-guidance">${escapeHtml(ERROR_GUIDANCE[code])}</p>` : ''}
+      <div class="error-actions">
+        ${retryable ? '<button type="button" class="error-retry">Try again</button>' : ''}
+        ${requestId ? `<span class="error-request-id">Request ID: ${escapeHtml(requestId)}</span>` : ''}
+      </div>
+    `;
     errorMessage.classList.add('visible');
     results.classList.add('hidden');
+
+    const retry = errorMessage.querySelector('.error-retry');
+    if (!retry) return;
+    retry.addEventListener('click', () => form.requestSubmit());
+
+    // Rate limits say when to come back; wait that long before allowing a retry
+    if (retryAfter) {
+      const until = Date.now() + retryAfter * 1000;
+      const tick = () => {
+        const seconds = Math.ceil((until - Date.now()) / 1000);
+        retry.disabled = seconds > 0;
+        retry.textContent = seconds > 0 ? `Try again in ${formatWait(seconds)}` : 'Try again';
+        if (seconds <= 0) clearInterval(retryTimer);
+      };
+      tick();
+      retryTimer = setInterval(tick, 1000);
+    }
+  }
+
+  function formatWait(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+    return `${Math.round(seconds / 3600)} h`;
   }
 
   function hideError() {
+    clearInterval(retryTimer);
     errorMessage.classList.remove('visible');
   }
 
+  function setStatus(message) {
+    analysisStatus.textContent = message;
+    analysisStatus.classList.toggle('visible', Boolean(message));
+  }
+
+  // Remaining daily quota from /api/quota; hidden when the server has none
+  function renderQuota(quota) {
+    if (!quota || !quota.limit) {
+      quotaStatus.classList.add('hidden');
+      return;
+    }
+
+    const resetTime = new Date(quota.reset * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    quotaStatus.textContent = quota.remaining > 0
+      ? `${quota.remaining} of ${quota.limit} analyses left today`
+      : `Daily limit of ${quota.limit} analyses reached. It resets at ${resetTime}.`;
+    quotaStatus.classList.toggle('low', quota.remaining <= Math.max(1, Math.floor(quota.limit / 10)));
+    quotaStatus.classList.remove('hidden');
+  }
+
+  async function refreshQuota() {
+    try {
+      const response = await fetch('/api/quota');
+      if (response.ok) {
+        renderQuota(await response.json());
+      }
+    } catch (e) {
+      // The quota line is informational; leave it as it was
+    }
+  }
+
   function setLoading(loading) {
     analyzeBtn.disabled = loading;
     analyzeBtn.classList.toggle('loading', loading);
@@ -73,10 +322,15 @@
     return escapeHtml(text).replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
   }
 
-  function renderResults(data) {
+  function renderHeader(data) {
     const videoId = data.videoId;
     const youtubeUrl = `https://www.youtube.com/watch?v=${videoId}`;
 
+    if (videoId !== currentVideoId) {
+      resetPlayer();
+      currentVideoId = videoId;
+    }
+
     // Video header
     videoThumbnail.src = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
     videoThumbnail.onerror = function() {
@@ -91,10 +345,16 @@
     channelInitial.textContent = channel.charAt(0).toUpperCase();
 
     // Stats
-    likeCount.textContent = data.viewCount || '0';
+    // Like counts only come from the YouTube Data API, and owners can hide them
+    likeCount.textContent = data.likeCount || '';
+    videoStats.classList.toggle('hidden', !data.likeCount);
     videoDuration.textContent = data.duration || '';
     viewCount.textContent = data.viewCount || '0';
     publishDate.textContent = data.publishedAt || '';
+  }
+
+  function renderSections(data) {
+    const youtubeUrl = `https://www.youtube.com/watch?v=${data.videoId}`;
 
     // TLDR
     tldrEl.innerHTML = renderMarkdown(data.tldr || '');
@@ -114,16 +374,26 @@
 
     // Chapters / Timeline
     chaptersListEl.innerHTML = '';
-    if (data.chapters && data.chapters.length > 0) {
-      data.chapters.forEach(chapter => {
+    renderedChapters = (data.chapters || []).filter(chapter => chapter.title);
+    playChaptersBtn.classList.toggle('hidden', !embedPlayerToggle.checked || renderedChapters.length < 2);
+    if (renderedChapters.length > 0) {
+      renderedChapters.forEach(chapter => {
         const chapterEl = document.createElement('a');
         chapterEl.className = 'chapter-item';
         chapterEl.href = `${youtubeUrl}&t=${chapter.timestamp}s`;
+        chapterEl.dataset.seek = chapter.timestamp || 0;
         chapterEl.target = '_blank';
         chapterEl.rel = 'noopener';
+        if (chapter.grounded === false) {
+          chapterEl.classList.add('unverified');
+          chapterEl.title = "This chapter's topic wasn't found in the transcript at this point";
+        }
         chapterEl.innerHTML = `
-          <span class="chapter-time">${chapter.timestampFormatted || formatTimestamp(chapter.timestamp)}</span>
-          <span class="chapter-title">${escapeHtml(chapter.title)}</span>
+          <span class="chapter-time">${chapter.timestampFormatted || formatTimestamp(chapter.timestamp || 0)}</span>
+          <span class="chapter-body">
+            <span class="chapter-title">${escapeHtml(chapter.title)}</span>
+            ${chapter.excerpt ? `<span class="chapter-excerpt">“${escapeHtml(chapter.excerpt)}”</span>` : ''}
+          </span>
         `;
         chaptersListEl.appendChild(chapterEl);
       });
@@ -132,15 +402,575 @@
     // Key Takeaways / Highlights
     keyTakeawaysEl.innerHTML = '';
     if (data.keyTakeaways && data.keyTakeaways.length > 0) {
-      data.keyTakeaways.forEach(takeaway => {
+      data.keyTakeaways.forEach((takeaway, i) => {
         const li = document.createElement('li');
         li.innerHTML = renderMarkdown(takeaway);
+        const timestamp = data.takeawayTimestamps?.[i];
+        if (typeof timestamp === 'number') {
+          li.insertAdjacentHTML('beforeend', `
+            <a class="takeaway-time" href="${youtubeUrl}&t=${timestamp}s" target="_blank" rel="noopener" data-seek="${timestamp}">${formatTimestamp(timestamp)}</a>
+          `);
+        }
         keyTakeawaysEl.appendChild(li);
       });
     }
 
     // Should Watch / Verdict
     shouldWatchEl.innerHTML = renderMarkdown(data.shouldWatch || '');
+    renderVerdict(data.verdict, youtubeUrl, data.personalized);
+  }
+
+  function renderVerdict(verdict, youtubeUrl, personalized) {
+    const decision = verdict && DECISION_LABELS[verdict.decision] ? verdict.decision : null;
+
+    // Badge: decision, score and time saved
+    verdictBadge.className = 'verdict-badge' + (decision ? ` ${decision}` : ' hidden');
+    verdictBadge.innerHTML = '';
+    if (decision) {
+      const parts = [`<span class="verdict-decision">${DECISION_LABELS[decision]}</span>`];
+      if (typeof verdict.score === 'number') {
+        parts.push(`<span class="verdict-score">${verdict.score}/100</span>`);
+      }
+      if (verdict.timeSavedSeconds > 0) {
+        parts.push(`<span class="verdict-saved">saves ${verdict.timeSavedFormatted || formatTimestamp(verdict.timeSavedSeconds)}</span>`);
+      }
+      if (personalized) {
+        parts.push('<span class="verdict-personalized">for you</span>');
+      }
+      verdictBadge.innerHTML = parts.join('');
+    }
+
+    // Audience tags
+    audienceTagsEl.innerHTML = '';
+    (verdict?.audience || []).forEach(tag => {
+      const tagEl = document.createElement('span');
+      tagEl.className = 'audience-tag';
+      tagEl.textContent = tag;
+      audienceTagsEl.appendChild(tagEl);
+    });
+
+    // Watch only these parts
+    const segments = (verdict?.segments || []).filter(segment =>
+      typeof segment.start === 'number' && typeof segment.end === 'number'
+    );
+    watchSegmentsListEl.innerHTML = '';
+    watchSegmentsEl.classList.toggle('hidden', segments.length === 0 || decision === 'watch');
+    segments.forEach(segment => {
+      const segmentEl = document.createElement('a');
+      segmentEl.className = 'chapter-item';
+      segmentEl.href = `${youtubeUrl}&t=${segment.start}s`;
+      segmentEl.dataset.seek = segment.start;
+      segmentEl.target = '_blank';
+      segmentEl.rel = 'noopener';
+      segmentEl.innerHTML = `
+        <span class="chapter-time">${segment.startFormatted || formatTimestamp(segment.start)}–${segment.endFormatted || formatTimestamp(segment.end)}</span>
+        <span class="chapter-title">${escapeHtml(segment.reason || '')}</span>
+      `;
+      watchSegmentsListEl.appendChild(segmentEl);
+    });
+  }
+
+  function resetChat(data) {
+    currentVideo = data;
+    chatHistory = [];
+    chatMessagesEl.innerHTML = '<p class="chat-empty">Ask anything about this video. Answers cite the transcript.</p>';
+    chatInput.value = '';
+  }
+
+  function appendChatMessage(role, html) {
+    const empty = chatMessagesEl.querySelector('.chat-empty');
+    if (empty) empty.remove();
+
+    const messageEl = document.createElement('div');
+    messageEl.className = `chat-message ${role}`;
+    messageEl.innerHTML = html;
+    chatMessagesEl.appendChild(messageEl);
+    chatMessagesEl.scrollTop = chatMessagesEl.scrollHeight;
+    return messageEl;
+  }
+
+  function renderAnswer(messageEl, data) {
+    const youtubeUrl = `https://www.youtube.com/watch?v=${data.videoId}`;
+    messageEl.className = 'chat-message assistant';
+    messageEl.innerHTML = `<div>${renderMarkdown(data.answer)}</div>`;
+
+    if (data.citations && data.citations.length > 0) {
+      const citationsEl = document.createElement('div');
+      citationsEl.className = 'chat-citations';
+      data.citations.forEach(citation => {
+        const citationEl = document.createElement('a');
+        citationEl.className = 'chapter-item';
+        citationEl.href = `${youtubeUrl}&t=${citation.timestamp}s`;
+        citationEl.dataset.seek = citation.timestamp;
+        citationEl.target = '_blank';
+        citationEl.rel = 'noopener';
+        citationEl.innerHTML = `
+          <span class="chapter-time">${citation.timestampFormatted || formatTimestamp(citation.timestamp)}</span>
+          <span class="chapter-excerpt">“${escapeHtml(citation.quote || citation.text)}”</span>
+        `;
+        citationsEl.appendChild(citationEl);
+      });
+      messageEl.appendChild(citationsEl);
+    }
+    chatMessagesEl.scrollTop = chatMessagesEl.scrollHeight;
+  }
+
+  async function askQuestion(question) {
+    const { outputLanguage } = getLanguageOptions();
+    const response = await fetch('/api/ask', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        videoId: currentVideo.videoId,
+        title: currentVideo.title,
+        question,
+        history: chatHistory,
+        // Ask about the same captions the summary was written from
+        transcriptLanguage: currentVideo.transcriptLanguage,
+        outputLanguage
+      })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw apiError(data, 'Failed to answer question');
+    }
+
+    return data;
+  }
+
+  function endsSentence(text) {
+    return /[.!?…]["')\]]?$/.test(text);
+  }
+
+  // Groups transcript lines into chapters, and each chapter into paragraphs.
+  // Lines before the first chapter go in a group without a title.
+  function groupTranscript(lines, chapters) {
+    const groups = [];
+    let chapterIndex = -1;
+    let group = null;
+    let paragraph = null;
+
+    lines.forEach(line => {
+      let nextChapter = chapterIndex + 1;
+      while (nextChapter < chapters.length && chapters[nextChapter].timestamp <= line.timestamp) {
+        nextChapter++;
+      }
+
+      if (!group || nextChapter - 1 !== chapterIndex) {
+        chapterIndex = nextChapter - 1;
+        group = { chapter: chapters[chapterIndex] || null, chapterIndex, paragraphs: [] };
+        groups.push(group);
+        paragraph = null;
+      }
+
+      const length = paragraph ? paragraph.text.length : 0;
+      if (!paragraph || (length >= PARAGRAPH_CHARS && endsSentence(paragraph.text)) || length >= PARAGRAPH_CHARS * 2) {
+        paragraph = { timestamp: line.timestamp, text: line.text };
+        group.paragraphs.push(paragraph);
+      } else {
+        paragraph.text += ' ' + line.text;
+      }
+    });
+
+    return groups;
+  }
+
+  // Escapes text and wraps every case-insensitive occurrence of query in <mark>
+  function highlightText(text, query) {
+    if (!query) return escapeHtml(text);
+
+    const lower = text.toLowerCase();
+    const needle = query.toLowerCase();
+    let html = '';
+    let from = 0;
+    let index = lower.indexOf(needle);
+
+    while (index !== -1) {
+      html += escapeHtml(text.slice(from, index)) + `<mark>${escapeHtml(text.slice(index, index + needle.length))}</mark>`;
+      from = index + needle.length;
+      index = lower.indexOf(needle, from);
+    }
+    return html + escapeHtml(text.slice(from));
+  }
+
+  function renderTranscript(data) {
+    const youtubeUrl = `https://www.youtube.com/watch?v=${data.videoId}`;
+    const lines = data.transcript || [];
+    const chapters = renderedChapters;
+
+    transcriptBody.innerHTML = '';
+    transcriptParagraphs = [];
+    transcriptSearch.value = '';
+    transcriptChapter.textContent = '';
+    searchTranscript('');
+
+    if (lines.length === 0) {
+      transcriptBody.innerHTML = '<p class="transcript-empty">The transcript appears here once the analysis is done.</p>';
+      return;
+    }
+
+    groupTranscript(lines, chapters).forEach(group => {
+      if (group.chapter) {
+        const headingEl = document.createElement('h5');
+        headingEl.className = 'transcript-heading';
+        headingEl.dataset.chapter = group.chapterIndex;
+        headingEl.textContent = group.chapter.title;
+        transcriptBody.appendChild(headingEl);
+      }
+
+      group.paragraphs.forEach(paragraph => {
+        const paragraphEl = document.createElement('div');
+        paragraphEl.className = 'transcript-paragraph';
+        paragraphEl.innerHTML = `
+          <a class="transcript-time" href="${youtubeUrl}&t=${paragraph.timestamp}s" target="_blank" rel="noopener" data-seek="${paragraph.timestamp}">${formatTimestamp(paragraph.timestamp)}</a>
+          <p></p>
+        `;
+        const textEl = paragraphEl.querySelector('p');
+        textEl.textContent = paragraph.text;
+        transcriptParagraphs.push({ textEl, text: paragraph.text });
+        transcriptBody.appendChild(paragraphEl);
+      });
+    });
+
+    transcriptBody.scrollTop = 0;
+    updateActiveChapter();
+  }
+
+  function showMatch(index) {
+    if (transcriptMatches.length === 0) return;
+
+    transcriptMatches[currentMatch]?.classList.remove('current');
+    currentMatch = (index + transcriptMatches.length) % transcriptMatches.length;
+    const match = transcriptMatches[currentMatch];
+    match.classList.add('current');
+    transcriptBody.scrollTop = match.offsetTop - transcriptBody.clientHeight / 2;
+    transcriptHits.textContent = `${currentMatch + 1} of ${transcriptMatches.length}`;
+  }
+
+  function searchTranscript(query) {
+    transcriptParagraphs.forEach(({ textEl, text }) => {
+      textEl.innerHTML = highlightText(text, query);
+    });
+    transcriptMatches = Array.from(transcriptBody.querySelectorAll('mark'));
+    currentMatch = -1;
+
+    if (!query) {
+      transcriptHits.textContent = '';
+    } else if (transcriptMatches.length === 0) {
+      transcriptHits.textContent = 'No matches';
+    } else {
+      showMatch(0);
+    }
+  }
+
+  // Highlights the chapter whose heading was scrolled past last, in the
+  // transcript and in the timeline
+  function updateActiveChapter() {
+    const headings = transcriptBody.querySelectorAll('.transcript-heading');
+    let active = null;
+    headings.forEach(heading => {
+      if (heading.offsetTop <= transcriptBody.scrollTop + 8) {
+        active = heading;
+      }
+    });
+
+    headings.forEach(heading => heading.classList.toggle('active', heading === active));
+    Array.from(chaptersListEl.children).forEach((chapterEl, i) => {
+      chapterEl.classList.toggle('active', Boolean(active) && String(i) === active.dataset.chapter);
+    });
+    transcriptChapter.textContent = active ? active.textContent : '';
+  }
+
+  function loadYouTubeApi() {
+    if (window.YT && window.YT.Player) {
+      return Promise.resolve(window.YT);
+    }
+    if (!youtubeApi) {
+      youtubeApi = new Promise((resolve, reject) => {
+        window.onYouTubeIframeAPIReady = () => resolve(window.YT);
+        const script = document.createElement('script');
+        script.src = 'https://www.youtube.com/iframe_api';
+        script.onerror = () => {
+          youtubeApi = null;
+          reject(new Error('Could not load the YouTube player'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return youtubeApi;
+  }
+
+  // Swaps the thumbnail for an embedded player starting at `start`. Resolves
+  // with the player once it is ready; later calls reuse it.
+  function getPlayer(start) {
+    if (!playerReady) {
+      const videoId = currentVideoId;
+      playerReady = loadYouTubeApi().then(YT => new Promise(resolve => {
+        const target = document.createElement('div');
+        videoPlayerEl.innerHTML = '';
+        videoPlayerEl.appendChild(target);
+        videoPlayerEl.classList.remove('hidden');
+        videoLink.classList.add('hidden');
+
+        player = new YT.Player(target, {
+          videoId,
+          playerVars: { start: Math.floor(start), autoplay: 1, rel: 0, playsinline: 1 },
+          events: {
+            onReady: (e) => resolve(e.target),
+            onStateChange: onPlayerStateChange
+          }
+        });
+      }));
+      playerReady.catch(() => {
+        playerReady = null;
+      });
+    }
+    return playerReady;
+  }
+
+  function resetPlayer() {
+    stopChapters();
+    clearInterval(playerTimer);
+    if (player) {
+      player.destroy();
+    }
+    player = null;
+    playerReady = null;
+    videoPlayerEl.innerHTML = '';
+    videoPlayerEl.classList.add('hidden');
+    videoLink.classList.remove('hidden');
+  }
+
+  async function seekTo(seconds) {
+    const created = !playerReady;
+    try {
+      const ready = await getPlayer(seconds);
+      if (!created) {
+        ready.seekTo(seconds, true);
+        ready.playVideo();
+      }
+      videoPlayerEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      syncPlayback();
+    } catch (error) {
+      window.open(`https://www.youtube.com/watch?v=${currentVideoId}&t=${seconds}s`, '_blank', 'noopener');
+    }
+  }
+
+  function onPlayerStateChange(e) {
+    clearInterval(playerTimer);
+    if (e.data === window.YT.PlayerState.PLAYING) {
+      playerTimer = setInterval(syncPlayback, 500);
+    } else if (e.data === window.YT.PlayerState.ENDED) {
+      stopChapters();
+    }
+    syncPlayback();
+  }
+
+  // Marks the chapter under the playhead in the timeline and the transcript
+  function syncPlayback() {
+    if (!player || typeof player.getCurrentTime !== 'function') return;
+
+    const time = player.getCurrentTime();
+    let index = -1;
+    renderedChapters.forEach((chapter, i) => {
+      if ((chapter.timestamp || 0) <= time) index = i;
+    });
+
+    Array.from(chaptersListEl.children).forEach((chapterEl, i) => {
+      chapterEl.classList.toggle('playing', i === index);
+    });
+    transcriptBody.querySelectorAll('.transcript-heading').forEach(heading => {
+      heading.classList.toggle('playing', Number(heading.dataset.chapter) === index);
+    });
+
+    if (chapterMode) {
+      renderChapterControls(Math.max(index, 0));
+    }
+  }
+
+  function renderChapterControls(index) {
+    const chapter = renderedChapters[index];
+    chapterNow.textContent = chapter
+      ? `Chapter ${index + 1} of ${renderedChapters.length}: ${chapter.title.replace(/\*\*/g, '')}`
+      : '';
+    chapterSkip.disabled = index >= renderedChapters.length - 1;
+  }
+
+  function playChapters() {
+    if (renderedChapters.length === 0) return;
+
+    chapterMode = true;
+    chapterControls.classList.remove('hidden');
+    renderChapterControls(0);
+    seekTo(renderedChapters[0].timestamp || 0);
+  }
+
+  function skipChapter() {
+    const time = player && typeof player.getCurrentTime === 'function' ? player.getCurrentTime() : 0;
+    const next = renderedChapters.find(chapter => (chapter.timestamp || 0) > time + 1);
+    if (next) {
+      seekTo(next.timestamp);
+    }
+  }
+
+  function stopChapters() {
+    chapterMode = false;
+    chapterControls.classList.add('hidden');
+  }
+
+  function loadExporter() {
+    if (!exporter) {
+      exporter = import('/lib/shared/export.js').catch(error => {
+        exporter = null;
+        throw error;
+      });
+    }
+    return exporter;
+  }
+
+  function showFeedback(message) {
+    clearTimeout(feedbackTimer);
+    actionFeedback.textContent = message;
+    feedbackTimer = setTimeout(() => {
+      actionFeedback.textContent = '';
+    }, 2500);
+  }
+
+  async function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+
+    // Clipboard API needs a secure context; fall back for plain-http hosts
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) {
+      throw new Error('Copy failed');
+    }
+  }
+
+  // Exports need the finished analysis, not the one still streaming in
+  function getExportable() {
+    if (!currentVideo) {
+      showFeedback('Wait for the summary to finish');
+      return null;
+    }
+    return currentVideo;
+  }
+
+  async function copySummary() {
+    const data = getExportable();
+    if (!data) return;
+
+    try {
+      const { renderExport } = await loadExporter();
+      await copyText(renderExport(data, 'markdown'));
+      showFeedback('Copied as Markdown');
+    } catch (error) {
+      showFeedback('Could not copy');
+    }
+  }
+
+  function toggleDownloadMenu(open) {
+    downloadMenu.classList.toggle('hidden', !open);
+    downloadBtn.setAttribute('aria-expanded', String(open));
+  }
+
+  async function downloadSummary(format) {
+    toggleDownloadMenu(false);
+    const data = getExportable();
+    if (!data) return;
+
+    try {
+      const { renderExport, exportFilename, EXPORT_FORMATS } = await loadExporter();
+      const blob = new Blob([renderExport(data, format)], { type: `${EXPORT_FORMATS[format].mimeType};charset=utf-8` });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = exportFilename(data, format);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      // Chapter formats explain why the chapters can't be exported
+      showFeedback(error.name === 'ChapterExportError' ? error.message : 'Could not download');
+    }
+  }
+
+  async function copyChapters() {
+    const data = getExportable();
+    if (!data) return;
+
+    try {
+      const { renderExport } = await loadExporter();
+      await copyText(renderExport(data, 'youtube'));
+      showFeedback('Chapters copied for the YouTube description');
+    } catch (error) {
+      showFeedback(error.name === 'ChapterExportError' ? error.message : 'Could not copy');
+    }
+  }
+
+  async function shareSummary() {
+    const data = getExportable();
+    if (!data) return;
+
+    try {
+      const { shareText, videoUrl } = await loadExporter();
+      const text = shareText(data);
+      // The permalink opens this analysis; personalized ones share the video itself
+      const url = data.permalink ? new URL(data.permalink, location.origin).href : videoUrl(data.videoId);
+
+      if (navigator.share) {
+        try {
+          await navigator.share({ title: data.title, text, url });
+          return;
+        } catch (error) {
+          // Closing the share sheet is not a failure
+          if (error.name === 'AbortError') return;
+        }
+      }
+
+      await copyText(`${text}\n\n${url}`);
+      showFeedback('Link copied with the summary');
+    } catch (error) {
+      showFeedback('Could not share');
+    }
+  }
+
+  function showPanel(name) {
+    panelTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.tab === name));
+    panels.forEach(panel => panel.classList.toggle('hidden', panel.dataset.panel !== name));
+    if (name === 'transcript') {
+      updateActiveChapter();
+    }
+  }
+
+  function renderResults(data) {
+    renderHeader(data);
+    renderSections(data);
+    renderTranscript(data);
+    renderCaptionLanguage(data);
+    resetChat(data);
+    setStatus('');
+
+    // Keep the address bar on this analysis so it can be bookmarked or shared.
+    // Personalized results have no permalink.
+    const path = data.permalink || '/';
+    if (location.pathname + location.search !== path) {
+      history.replaceState(null, '', path);
+    }
 
     results.classList.remove('hidden');
 
@@ -148,24 +978,125 @@
     results.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
+  // Parse the longest complete prefix of a JSON object that is still being
+  // streamed, closing any open arrays and objects.
+  function parsePartialJson(text) {
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+
+    const cuts = [];
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (ch === '\\') {
+          escaped = true;
+        } else if (ch === '"') {
+          inString = false;
+          cuts.push({ index: i + 1, closers: stack.slice() });
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        stack.push(ch === '{' ? '}' : ']');
+      } else if (ch === '}' || ch === ']') {
+        stack.pop();
+        cuts.push({ index: i + 1, closers: stack.slice() });
+      }
+    }
+
+    // A cut right after an object key is invalid, so fall back a few cuts
+    for (let k = cuts.length - 1; k >= Math.max(0, cuts.length - 6); k--) {
+      const { index, closers } = cuts[k];
+      try {
+        return JSON.parse(text.slice(start, index) + closers.reverse().join(''));
+      } catch (e) {
+        continue;
+      }
+    }
+    return null;
+  }
+
+  function analyzeVideoStream(videoId, onHeader) {
+    return new Promise((resolve, reject) => {
+      const { profile, ...options } = getRequestOptions();
+      const params = new URLSearchParams({ videoId, ...options, transcript: '1' });
+      if (profile) {
+        params.set('profile', JSON.stringify(profile));
+      }
+      const source = new EventSource(`/api/analyze-stream?${params}`);
+      let streamedText = '';
+
+      source.addEventListener('metadata', (e) => {
+        onHeader(JSON.parse(e.data));
+      });
+
+      source.addEventListener('provider', (e) => {
+        const attempt = JSON.parse(e.data);
+        if (STAGE_LABELS[attempt.status]) {
+          setStatus(`${STAGE_LABELS[attempt.status]} ${attempt.provider}...`);
+        }
+      });
+
+      source.addEventListener('analyzing', (e) => {
+        const { chunked } = JSON.parse(e.data);
+        setStatus(chunked ? 'Long video: summarizing it section by section...' : 'Writing summary...');
+      });
+
+      source.addEventListener('token', (e) => {
+        streamedText += JSON.parse(e.data).text;
+        const partial = parsePartialJson(streamedText);
+        if (partial) {
+          renderSections({ videoId, ...partial });
+        }
+      });
+
+      source.addEventListener('retry', () => {
+        // The server is asking Claude again; the next tokens start a fresh object
+        streamedText = '';
+        setStatus('Double-checking the summary...');
+      });
+
+      source.addEventListener('result', (e) => {
+        source.close();
+        resolve(JSON.parse(e.data));
+      });
+
+      source.addEventListener('error', (e) => {
+        source.close();
+        // Named 'error' events carry the server's message; bare ones are connection failures
+        const data = e.data ? JSON.parse(e.data) : {};
+        reject(apiError(data, 'Failed to analyze video'));
+      });
+    });
+  }
+
   async function analyzeVideo(url) {
     const videoId = extractVideoId(url);
     if (!videoId) {
-      throw new Error('Invalid YouTube URL. Please enter a valid youtube.com or youtu.be link.');
+      throw Object.assign(new Error('Invalid YouTube URL. Please enter a valid youtube.com or youtu.be link.'), { code: 'BAD_REQUEST' });
     }
 
-    const response = await fetch('/api/analyze.js', {
+    const response = await fetch('/api/analyze', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ url, videoId })
+      body: JSON.stringify({ url, videoId, ...getRequestOptions(), includeTranscript: true })
     });
 
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to analyze video');
+      throw apiError(data, 'Failed to analyze video');
     }
 
     return data;
@@ -180,17 +1111,156 @@
     hideError();
     setLoading(true);
     results.classList.add('hidden');
+    // Chat and exports wait for the new analysis
+    currentVideo = null;
 
     try {
-      const data = await analyzeVideo(url);
+      const videoId = extractVideoId(url);
+      const data = videoId && window.EventSource
+        ? await analyzeVideoStream(videoId, (header) => {
+          // Swap the overlay for inline progress once the video header is known
+          loadingOverlay.classList.remove('visible');
+          renderHeader(header);
+          renderSections({ videoId });
+          renderTranscript({ videoId });
+          results.classList.remove('hidden');
+          results.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        })
+        : await analyzeVideo(url);
       renderResults(data);
     } catch (error) {
-      showError(error.message);
+      setStatus('');
+      showError(error.message, error);
     } finally {
       setLoading(false);
+      refreshQuota();
+    }
+  });
+
+  // Timestamp links seek the embedded player; modifier-clicks still open YouTube
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('[data-seek]');
+    if (!link || !embedPlayerToggle.checked || !currentVideoId || e.metaKey || e.ctrlKey || e.shiftKey) return;
+
+    e.preventDefault();
+    seekTo(Number(link.dataset.seek) || 0);
+  });
+
+  copyBtn.addEventListener('click', copySummary);
+  copyChaptersBtn.addEventListener('click', copyChapters);
+  shareBtn.addEventListener('click', shareSummary);
+
+  downloadBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleDownloadMenu(downloadMenu.classList.contains('hidden'));
+  });
+
+  downloadMenu.addEventListener('click', (e) => {
+    const option = e.target.closest('[data-format]');
+    if (option) {
+      downloadSummary(option.dataset.format);
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!downloadMenu.classList.contains('hidden') && !e.target.closest('.download-wrapper')) {
+      toggleDownloadMenu(false);
+    }
+  });
+
+  playChaptersBtn.addEventListener('click', playChapters);
+  chapterSkip.addEventListener('click', skipChapter);
+  chapterStop.addEventListener('click', () => {
+    stopChapters();
+    if (player && typeof player.pauseVideo === 'function') {
+      player.pauseVideo();
+    }
+  });
+
+  embedPlayerToggle.checked = localStorage.getItem(EMBED_STORAGE_KEY) !== 'off';
+  embedPlayerToggle.addEventListener('change', () => {
+    localStorage.setItem(EMBED_STORAGE_KEY, embedPlayerToggle.checked ? 'on' : 'off');
+    playChaptersBtn.classList.toggle('hidden', !embedPlayerToggle.checked || renderedChapters.length < 2);
+  });
+
+  panelTabs.forEach(tab => {
+    tab.addEventListener('click', () => showPanel(tab.dataset.tab));
+  });
+
+  transcriptSearch.addEventListener('input', () => {
+    searchTranscript(transcriptSearch.value.trim());
+  });
+
+  transcriptSearch.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      showMatch(currentMatch + (e.shiftKey ? -1 : 1));
+    }
+  });
+
+  transcriptPrev.addEventListener('click', () => showMatch(currentMatch - 1));
+  transcriptNext.addEventListener('click', () => showMatch(currentMatch + 1));
+  transcriptBody.addEventListener('scroll', updateActiveChapter);
+
+  chatForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const question = chatInput.value.trim();
+    if (!question || !currentVideo) return;
+
+    chatInput.value = '';
+    chatSend.disabled = true;
+    appendChatMessage('user', escapeHtml(question));
+    const answerEl = appendChatMessage('assistant pending', 'Reading the transcript...');
+
+    try {
+      const data = await askQuestion(question);
+      renderAnswer(answerEl, data);
+      chatHistory.push({ role: 'user', content: question }, { role: 'assistant', content: data.answer });
+    } catch (error) {
+      answerEl.className = 'chat-message failed';
+      answerEl.textContent = error.message;
+    } finally {
+      chatSend.disabled = false;
+      chatInput.focus();
+      refreshQuota();
     }
   });
 
+  Object.values(profileInputs).forEach(input => {
+    input.addEventListener('change', saveProfile);
+  });
+  loadProfile();
+
+  // Permalink pages embed the stored analysis. Otherwise /v/:videoId (or
+  // ?v=) starts a fresh analysis of that video.
+  function loadFromUrl() {
+    const params = new URLSearchParams(location.search);
+    const language = params.get('lang');
+    if (language && outputLanguageSelect.querySelector(`option[value="${CSS.escape(language)}"]`)) {
+      outputLanguageSelect.value = language;
+    }
+
+    const initial = document.getElementById('initial-analysis');
+    if (initial) {
+      try {
+        const data = JSON.parse(initial.textContent);
+        urlInput.value = `https://www.youtube.com/watch?v=${data.videoId}`;
+        renderResults(data);
+        return;
+      } catch (e) {
+        // Fall through and analyze the video again
+      }
+    }
+
+    const match = location.pathname.match(/^\/v\/([a-zA-Z0-9_-]{11})$/);
+    const videoId = match ? match[1] : params.get('v');
+    if (videoId && /^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
+      urlInput.value = `https://www.youtube.com/watch?v=${videoId}`;
+      form.dispatchEvent(new Event('submit'));
+    }
+  }
+
   urlInput.addEventListener('paste', (e) => {
     setTimeout(() => {
       const url = urlInput.value.trim();
@@ -199,4 +1269,7 @@
       }
     }, 100);
   });
+
+  loadFromUrl();
+  refreshQuota();
 })();
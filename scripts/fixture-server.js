@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { UPSTREAM_ORIGINS } from '../lib/upstream.js';
+
+// Local stand-in for YouTube, Supadata and Anthropic. Point the app at it with
+// FIXTURE_SERVER=http://localhost:4010 and every outside call is answered
+// from test/fixtures/<service>/*.json. With --record, requests without a
+// fixture go to the real service and the response is saved as a new one.
+//
+// A fixture is { match, status, headers, body }. match has the method and
+// path, plus either the hash of a recorded request or looser conditions:
+// query values and strings the request body must include. The most specific
+// match wins, so a generic fixture can be overridden for one video.
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const DEFAULT_FIXTURE_DIR = join(ROOT, 'test', 'fixtures');
+const DEFAULT_PORT = 4010;
+
+// Credentials never end up in fixture keys or files
+const SECRET_PARAMS = ['key'];
+const FORWARDED_HEADERS = ['content-type', 'accept', 'user-agent', 'authorization', 'x-api-key', 'anthropic-version', 'anthropic-beta'];
+
+function requestHash({ method, path, query, body }) {
+  const search = Object.keys(query).sort().map(name => `${name}=${query[name]}`).join('&');
+  return createHash('sha256').update(`${method} ${path}?${search}\n${body}`).digest('hex').slice(0, 16);
+}
+
+// JSON bodies are compared compacted, however the client formatted them
+function normalizeBody(body) {
+  try {
+    return JSON.stringify(JSON.parse(body));
+  } catch (e) {
+    return body;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function loadFixtures(dir, service) {
+  let files;
+  try {
+    files = (await readdir(join(dir, service))).filter(file => file.endsWith('.json')).sort();
+  } catch (e) {
+    return [];
+  }
+  return Promise.all(files.map(async file => ({
+    file,
+    ...JSON.parse(await readFile(join(dir, service, file), 'utf-8'))
+  })));
+}
+
+function matches(match, request) {
+  if ((match.method || 'GET') !== request.method || match.path !== request.path) return false;
+  if (match.hash) return match.hash === request.hash;
+
+  const query = Object.entries(match.query || {});
+  const includes = [].concat(match.bodyIncludes || []);
+  return query.every(([name, value]) => request.query[name] === value)
+    && includes.every(text => request.body.includes(text));
+}
+
+function specificity(match) {
+  if (match.hash) return Infinity;
+  return Object.keys(match.query || {}).length + [].concat(match.bodyIncludes || []).length;
+}
+
+export function findFixture(fixtures, request) {
+  return fixtures
+    .filter(fixture => matches(fixture.match, request))
+    .sort((a, b) => specificity(b.match) - specificity(a.match))[0] || null;
+}
+
+// Replays a stored Messages API response as the event stream the SDK reads
+// when it asked with stream: true
+export function toEventStream(message) {
+  const event = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+  let stream = event('message_start', {
+    message: { ...message, content: [], stop_reason: null, stop_sequence: null }
+  });
+
+  message.content.forEach((block, index) => {
+    if (block.type === 'tool_use') {
+      stream += event('content_block_start', { index, content_block: { ...block, input: {} } });
+      const json = JSON.stringify(block.input);
+      for (let i = 0; i < json.length; i += 40) {
+        stream += event('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: json.slice(i, i + 40) } });
+      }
+    } else {
+      stream += event('content_block_start', { index, content_block: { ...block, text: '' } });
+      stream += event('content_block_delta', { index, delta: { type: 'text_delta', text: block.text } });
+    }
+    stream += event('content_block_stop', { index });
+  });
+
+  stream += event('message_delta', {
+    delta: { stop_reason: message.stop_reason, stop_sequence: null },
+    usage: { output_tokens: message.usage?.output_tokens || 0 }
+  });
+  return stream + event('message_stop', {});
+}
+
+// Links in responses (e.g. caption track URLs) lead back to this server
+function rewriteOrigins(text, base) {
+  return Object.entries(UPSTREAM_ORIGINS).reduce(
+    (result, [service, origin]) => result.split(origin).join(`${base}/${service}`),
+    text
+  );
+}
+
+function wantsStream(body) {
+  try {
+    return JSON.parse(body).stream === true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function send(res, fixture, request, base) {
+  let contentType = fixture.headers?.['content-type'] || 'application/json';
+  let body = fixture.body ?? '';
+
+  if (typeof body === 'object') {
+    if (body.type === 'message' && wantsStream(request.body)) {
+      contentType = 'text/event-stream';
+      body = toEventStream(body);
+    } else {
+      body = JSON.stringify(body);
+    }
+  }
+
+  res.writeHead(fixture.status || 200, { 'Content-Type': contentType });
+  res.end(rewriteOrigins(body, base));
+}
+
+// Sends the request on as the client made it, credentials included
+async function record(dir, service, request, { search, headers, body: rawBody }) {
+  const forwarded = Object.fromEntries(FORWARDED_HEADERS.filter(name => headers[name]).map(name => [name, headers[name]]));
+  const response = await fetch(`${UPSTREAM_ORIGINS[service]}${request.path}${search}`, {
+    method: request.method,
+    headers: forwarded,
+    body: request.method === 'GET' || request.method === 'HEAD' ? undefined : rawBody
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  const text = await response.text();
+  let body = text;
+  if (contentType.includes('json')) {
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      // Keep the raw text
+    }
+  }
+
+  const fixture = {
+    match: { method: request.method, path: request.path, hash: request.hash },
+    request: { query: request.query },
+    status: response.status,
+    headers: { 'content-type': contentType },
+    body
+  };
+
+  const slug = request.path.replace(/[^\w]+/g, '-').replace(/^-|-$/g, '');
+  await mkdir(join(dir, service), { recursive: true });
+  await writeFile(join(dir, service, `${request.method}-${slug}-${request.hash}.json`), JSON.stringify(fixture, null, 2) + '\n');
+  return fixture;
+}
+
+export function createFixtureServer({ dir = DEFAULT_FIXTURE_DIR, recording = false } = {}) {
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fixtures');
+    const [, service, ...rest] = url.pathname.split('/');
+
+    if (!UPSTREAM_ORIGINS[service]) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Unknown service. Use one of: ${Object.keys(UPSTREAM_ORIGINS).join(', ')}` }));
+      return;
+    }
+
+    const query = Object.fromEntries([...url.searchParams].filter(([name]) => !SECRET_PARAMS.includes(name)));
+    const rawBody = await readBody(req);
+    const request = { method: req.method, path: `/${rest.join('/')}`, query, body: normalizeBody(rawBody) };
+    request.hash = requestHash(request);
+    const base = `http://${req.headers.host}`;
+
+    try {
+      let fixture = findFixture(await loadFixtures(dir, service), request);
+      if (!fixture && recording) {
+        fixture = await record(dir, service, request, { search: url.search, headers: req.headers, body: rawBody });
+        console.log(`Recorded ${service} ${request.method} ${request.path} (${request.hash})`);
+      }
+
+      if (!fixture) {
+        console.log(`No fixture for ${service} ${request.method} ${request.path} (${request.hash})`);
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: `No fixture for ${request.method} /${service}${request.path}. Run the fixture server with --record to capture one.`,
+          hash: request.hash
+        }));
+        return;
+      }
+
+      send(res, fixture, request, base);
+    } catch (error) {
+      console.error('Fixture server error:', error);
+      res.writeHead(502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p' },
+      dir: { type: 'string', short: 'd' },
+      record: { type: 'boolean' }
+    }
+  });
+
+  const port = parseInt(values.port || process.env.FIXTURE_PORT || '') || DEFAULT_PORT;
+  createFixtureServer({ dir: values.dir || DEFAULT_FIXTURE_DIR, recording: Boolean(values.record) }).listen(port, () => {
+    console.log(`
+  Fixture server (${values.record ? 'recording' : 'replaying'}) at http://localhost:${port}
+
+  Start the app with FIXTURE_SERVER=http://localhost:${port}
+  `);
+  });
+}
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+import { randomBytes } from 'crypto';
+import { hashApiKey } from '../lib/ratelimit.js';
+
+// Prints a new API key and the API_KEYS entry for it. Only the hash goes into
+// the environment, so hand the key to its owner now: it can't be recovered.
+//
+//   npm run issue-key -- <name> [dailyQuota]
+
+const [name, dailyQuota] = process.argv.slice(2);
+
+if (!name) {
+  console.error('Usage: npm run issue-key -- <name> [dailyQuota]');
+  process.exit(2);
+}
+
+const quota = dailyQuota === undefined ? undefined : parseInt(dailyQuota);
+if (quota !== undefined && (Number.isNaN(quota) || quota < 0)) {
+  console.error('dailyQuota must be a whole number (0 for no daily quota)');
+  process.exit(2);
+}
+
+const key = `siw_${randomBytes(24).toString('base64url')}`;
+const entry = { name, hash: hashApiKey(key), ...(quota !== undefined && { dailyQuota: quota }) };
+
+console.log(`API key for ${name}:\n\n  ${key}\n`);
+console.log('Add this entry to the API_KEYS array:\n');
+console.log(`  ${JSON.stringify(entry)}`);
@@ -0,0 +1,101 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useFixtureServer, createResponse } from './helpers/handler.js';
+
+// Runs api/analyze.js against the canned responses in test/fixtures:
+// fixtureVid1 analyzes cleanly, notFound000 doesn't exist, noCaptions0 has
+// no captions and badAnalysis gets an analysis that fails validation.
+
+useFixtureServer({
+  TRANSCRIPT_PROVIDERS: 'innertube,timedtext',
+  RATE_LIMIT_IP_PER_MINUTE: '0',
+  RATE_LIMIT_IP_PER_DAY: '0'
+});
+
+let handler;
+
+// Imported once the environment points at the fixture server
+before(async () => {
+  handler = (await import('../api/analyze.js')).default;
+});
+
+async function analyze({ method = 'POST', body = {}, query = {}, headers = {} } = {}) {
+  const res = createResponse();
+  await handler({ method, body, query, headers, socket: { remoteAddress: '127.0.0.1' } }, res);
+  return res;
+}
+
+test('rejects methods other than POST', async () => {
+  const res = await analyze({ method: 'GET' });
+  assert.equal(res.statusCode, 405);
+  assert.equal(res.body.code, 'METHOD_NOT_ALLOWED');
+  assert.equal(res.headers['x-request-id'], res.body.requestId);
+});
+
+test('requires a well-formed video ID', async () => {
+  assert.equal((await analyze()).statusCode, 400);
+  assert.equal((await analyze()).body.message, 'Video ID is required');
+
+  const res = await analyze({ body: { videoId: 'not-an-id' } });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'BAD_REQUEST');
+  assert.equal(res.body.message, 'Invalid video ID format');
+});
+
+test('rejects unknown languages and export formats before analyzing', async () => {
+  const language = await analyze({ body: { videoId: 'fixtureVid1', outputLanguage: 'not a language' } });
+  assert.equal(language.statusCode, 400);
+  assert.equal(language.body.message, 'Invalid language code');
+
+  const format = await analyze({ body: { videoId: 'fixtureVid1' }, query: { format: 'docx' } });
+  assert.equal(format.statusCode, 400);
+  assert.match(format.body.message, /Unknown format/);
+});
+
+test('analyzes a video end to end from fixtures', async () => {
+  const res = await analyze({ body: { videoId: 'fixtureVid1' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.title, 'Fixture Servers in 4 Minutes');
+  assert.equal(res.body.transcriptProvider, 'innertube');
+  assert.equal(res.body.metadataSource, 'youtube-api');
+  assert.equal(res.body.likeCount, '1.9K');
+  assert.equal(res.body.verdict.decision, 'watch');
+  assert.deepEqual(res.body.chapters.map(chapter => chapter.timestamp), [0, 24, 56, 118, 170, 208]);
+});
+
+test('returns an export when a format is asked for', async () => {
+  const res = await analyze({ body: { videoId: 'fixtureVid1' }, query: { format: 'markdown' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /^text\/markdown/);
+  assert.match(res.body, /^# Fixture Servers in 4 Minutes/m);
+});
+
+test('maps a missing video to 404 VIDEO_NOT_FOUND', async () => {
+  const res = await analyze({ body: { videoId: 'notFound000' } });
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.code, 'VIDEO_NOT_FOUND');
+  assert.equal(res.body.retryable, false);
+  assert.ok(res.body.requestId);
+});
+
+test('maps a video without captions to 422 NO_CAPTIONS with every provider attempt', async () => {
+  const res = await analyze({ body: { videoId: 'noCaptions0' } });
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.code, 'NO_CAPTIONS');
+  assert.deepEqual(res.body.transcriptAttempts.map(attempt => [attempt.provider, attempt.status]), [
+    ['innertube', 'failed'],
+    ['timedtext', 'failed']
+  ]);
+});
+
+test('maps an analysis that fails validation twice to 502', async () => {
+  const res = await analyze({ body: { videoId: 'badAnalysis' } });
+
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body.code, 'LLM_BAD_OUTPUT');
+  assert.ok(res.body.validationErrors.length > 0);
+});
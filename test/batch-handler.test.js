@@ -0,0 +1,67 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useFixtureServer, createResponse } from './helpers/handler.js';
+
+// Runs api/batch.js against test/fixtures: PLfixture0001 lists fixtureVid1
+// and noCaptions0, PLmissing0001 doesn't exist (a Data API 404).
+
+useFixtureServer({
+  TRANSCRIPT_PROVIDERS: 'innertube,timedtext',
+  RATE_LIMIT_IP_PER_MINUTE: '0',
+  RATE_LIMIT_IP_PER_DAY: '5'
+});
+
+let handler;
+
+before(async () => {
+  handler = (await import('../api/batch.js')).default;
+});
+
+async function batch(playlistId, { limit } = {}) {
+  const res = createResponse();
+  const req = {
+    method: 'POST',
+    body: { url: `https://www.youtube.com/playlist?list=${playlistId}`, limit },
+    query: { wait: '1' },
+    headers: {},
+    socket: { remoteAddress: '127.0.0.2' }
+  };
+  await handler(req, res);
+  return res;
+}
+
+test('charges the daily quota per video once the playlist is expanded', async () => {
+  const missing = await batch('PLmissing0001');
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.code, 'NOT_FOUND');
+  assert.equal(missing.body.retryable, false);
+  assert.equal(missing.headers['x-ratelimit-remaining'], '5');
+
+  const res = await batch('PLfixture0001');
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.items.map(item => [item.videoId, item.status]), [
+    ['fixtureVid1', 'completed'],
+    ['noCaptions0', 'failed']
+  ]);
+  assert.equal(res.headers['x-ratelimit-remaining'], '3');
+});
+
+test('treats a limit below one as one video', async () => {
+  const res = await batch('PLfixture0001', { limit: -1 });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.items.map(item => item.videoId), ['fixtureVid1']);
+});
+
+test('rejects playlists up front without a Data API key', async () => {
+  const fixtureServerUrl = process.env.FIXTURE_SERVER;
+  delete process.env.FIXTURE_SERVER;
+  delete process.env.YOUTUBE_API_KEY;
+  try {
+    const res = await batch('PLfixture0001');
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'BAD_REQUEST');
+    assert.match(res.body.message, /YOUTUBE_API_KEY/);
+  } finally {
+    process.env.FIXTURE_SERVER = fixtureServerUrl;
+  }
+});
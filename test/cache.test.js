@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+// With KV configured, the default cache store is the shared KV store rather
+// than instance memory. A stand-in Upstash REST server keeps the values.
+
+const values = new Map();
+let server;
+let cache;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [command, key, value] = JSON.parse(body);
+      let result = null;
+      if (command === 'SET') values.set(key, value);
+      if (command === 'GET') result = values.get(key) ?? null;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.KV_REST_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.KV_REST_API_TOKEN = 'test';
+
+  cache = await import('../lib/cache.js');
+});
+
+after(() => {
+  server.close();
+});
+
+test('the default cache store is the KV store when KV is configured', async () => {
+  const first = await cache.cached('analysis:test', 60, async () => ({ tldr: 'stored' }));
+  assert.equal(first.hit, false);
+  assert.equal(values.get('analysis:test'), JSON.stringify({ tldr: 'stored' }));
+
+  const second = await cache.cached('analysis:test', 60, async () => assert.fail('should come from KV'));
+  assert.deepEqual(second, { value: { tldr: 'stored' }, hit: true });
+});
+
+test('permalinks are saved to and read from the KV store', async () => {
+  const { savePermalink, getPermalink } = await import('../lib/permalink.js');
+  await savePermalink({ videoId: 'fixtureVid1', outputLanguage: 'en', title: 'Shared', cache: { analysis: 'miss' } });
+
+  assert.ok(values.has('permalink:fixtureVid1:en'));
+  const stored = await getPermalink('fixtureVid1', 'en');
+  assert.equal(stored.title, 'Shared');
+  assert.equal(stored.cache, undefined);
+});
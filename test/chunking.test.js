@@ -0,0 +1,95 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureServer } from '../scripts/fixture-server.js';
+
+// Long transcripts: splitting into windows, section summaries against
+// test/fixtures (any section gets a valid summary, a video titled
+// "Bad Section Fixture" never does) and pinning merged chapters to them.
+
+const fixtureServer = createFixtureServer();
+let summarizeChunks;
+let splitTranscript;
+let snapToCandidates;
+
+before(async () => {
+  await new Promise(resolve => fixtureServer.listen(0, '127.0.0.1', resolve));
+  process.env.FIXTURE_SERVER = `http://127.0.0.1:${fixtureServer.address().port}`;
+  mock.method(console, 'warn', () => {});
+
+  ({ summarizeChunks, splitTranscript, snapToCandidates } = await import('../lib/chunking.js'));
+});
+
+after(() => {
+  mock.restoreAll();
+  fixtureServer.close();
+});
+
+const chunk = {
+  index: 0,
+  start: 900,
+  end: 1800,
+  text: '[15:00] In record mode the server forwards each request to the real service.'
+};
+
+test('summarizes a section through the tool, keeping chapters inside it', async () => {
+  const [summary] = await summarizeChunks([chunk], { title: 'Fixture Servers', channelTitle: 'Offline Engineering' });
+
+  assert.match(summary.summary, /fixture server/);
+  assert.equal(summary.keyPoints.length, 2);
+  assert.deepEqual(summary.chapters.map(chapter => chapter.timestamp), [900, 1800]);
+});
+
+test('gives up on a section summary that fails validation twice', async () => {
+  await assert.rejects(
+    summarizeChunks([chunk], { title: 'Bad Section Fixture', channelTitle: 'Offline Engineering' }),
+    error => {
+      assert.equal(error.code, 'LLM_BAD_OUTPUT');
+      assert.ok(error.errors.includes('summary must be a non-empty string'));
+      return true;
+    }
+  );
+});
+
+const segment = (timestamp, text) => ({ timestamp, text });
+
+test('splitTranscript runs a window past its length to the end of a sentence', () => {
+  const chunks = splitTranscript([
+    segment(0, 'First point.'),
+    segment(30, 'Still going'),
+    segment(60, 'and going'),
+    segment(70, 'until here.'),
+    segment(80, 'Next part.')
+  ], 60);
+
+  assert.deepEqual(chunks.map(chunk => chunk.segments.map(s => s.timestamp)), [[0, 30, 60, 70], [80]]);
+  assert.equal(chunks[0].end, 80, 'a chunk ends where the next starts');
+});
+
+test('splitTranscript closes a window without punctuation at 125% of its length', () => {
+  const chunks = splitTranscript([0, 30, 60, 75, 90].map(t => segment(t, 'no punctuation')), 60);
+
+  assert.deepEqual(chunks.map(chunk => chunk.segments.map(s => s.timestamp)), [[0, 30, 60, 75], [90]]);
+});
+
+test('snapToCandidates pins chapters to the nearest section chapter', () => {
+  const summaries = [{ chapters: [{ timestamp: 0 }, { timestamp: 120 }] }, { chapters: [{ timestamp: 300 }] }];
+  const chapters = snapToCandidates([
+    { timestamp: 2, title: 'Intro' },
+    { timestamp: 290, title: 'Wrap-up' },
+    { timestamp: 115, title: 'Setup' }
+  ], summaries);
+
+  assert.deepEqual(chapters.map(chapter => [chapter.timestamp, chapter.title]), [[0, 'Intro'], [120, 'Setup'], [300, 'Wrap-up']]);
+});
+
+test('snapToCandidates keeps the first of two chapters that snap to the same candidate', () => {
+  const summaries = [{ chapters: [{ timestamp: 0 }, { timestamp: 120 }, { timestamp: 300 }] }];
+  const chapters = snapToCandidates([
+    { timestamp: 0, title: 'Intro' },
+    { timestamp: 110, title: 'Setup' },
+    { timestamp: 130, title: 'More setup' },
+    { timestamp: 300, title: 'Wrap-up' }
+  ], summaries);
+
+  assert.deepEqual(chapters.map(chapter => [chapter.timestamp, chapter.title]), [[0, 'Intro'], [120, 'Setup'], [300, 'Wrap-up']]);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Anthropic from '@anthropic-ai/sdk';
+import { AppError, toErrorResponse, getRequestId } from '../lib/errors.js';
+import { TranscriptUnavailableError } from '../lib/transcript.js';
+import { AnalysisValidationError } from '../lib/schema.js';
+import { ChapterExportError } from '../lib/shared/chapters.js';
+import { playabilityError } from '../lib/providers/innertube.js';
+
+test('every error response has the same shape', () => {
+  const { status, body } = toErrorResponse(new AppError('VIDEO_PRIVATE'), 'req-1');
+
+  assert.equal(status, 403);
+  assert.deepEqual(body, {
+    code: 'VIDEO_PRIVATE',
+    message: 'This video is private.',
+    retryable: false,
+    requestId: 'req-1'
+  });
+});
+
+test('a video without captions is a 422 listing each provider tried', () => {
+  const attempts = [{ provider: 'innertube', status: 'failed', error: 'No caption tracks in player response' }];
+  const { status, body } = toErrorResponse(new TranscriptUnavailableError(attempts));
+
+  assert.equal(status, 422);
+  assert.equal(body.code, 'NO_CAPTIONS');
+  assert.equal(body.message, 'This video does not have captions available.');
+  assert.deepEqual(body.transcriptAttempts, attempts);
+});
+
+test('transcript failures take the most telling provider code', () => {
+  const privateVideo = new TranscriptUnavailableError([
+    { provider: 'innertube', status: 'failed', code: 'VIDEO_PRIVATE' },
+    { provider: 'timedtext', status: 'failed' }
+  ]);
+  assert.equal(privateVideo.code, 'VIDEO_PRIVATE');
+
+  const quota = new TranscriptUnavailableError([
+    { provider: 'supadata', status: 'failed', code: 'PROVIDER_QUOTA' },
+    { provider: 'ytdlp', status: 'skipped' }
+  ]);
+  assert.equal(quota.code, 'PROVIDER_QUOTA');
+  assert.equal(toErrorResponse(quota).body.retryable, true);
+
+  const mixed = new TranscriptUnavailableError([
+    { provider: 'innertube', status: 'failed' },
+    { provider: 'supadata', status: 'failed', code: 'PROVIDER_QUOTA' }
+  ]);
+  assert.equal(mixed.code, 'NO_CAPTIONS');
+});
+
+test('YouTube playability statuses map to video codes', () => {
+  assert.equal(playabilityError({ status: 'OK' }), null);
+  assert.equal(playabilityError({ status: 'ERROR', reason: 'Video unavailable' }).code, 'VIDEO_NOT_FOUND');
+  assert.equal(playabilityError({ status: 'LOGIN_REQUIRED', reason: 'This video is private' }).code, 'VIDEO_PRIVATE');
+  assert.equal(playabilityError({ status: 'LOGIN_REQUIRED', reason: 'Sign in to confirm your age' }).code, 'AGE_RESTRICTED');
+  assert.equal(playabilityError({ status: 'LIVE_STREAM_OFFLINE' }).code, 'LIVE_STREAM');
+  assert.equal(playabilityError({ status: 'LOGIN_REQUIRED', reason: 'Sign in to confirm you’re not a bot' }).code, undefined);
+});
+
+test('an analysis that fails validation is a retryable 502 with the validation errors', () => {
+  const { status, body } = toErrorResponse(new AnalysisValidationError(['tldr must be a non-empty string']));
+
+  assert.equal(status, 502);
+  assert.equal(body.code, 'LLM_BAD_OUTPUT');
+  assert.equal(body.retryable, true);
+  assert.deepEqual(body.validationErrors, ['tldr must be a non-empty string']);
+});
+
+test('an overloaded or timed out Anthropic API is retryable', () => {
+  const overloaded = toErrorResponse(Anthropic.APIError.generate(529, { type: 'error', error: { type: 'overloaded_error' } }, 'Overloaded', {}));
+  assert.equal(overloaded.status, 503);
+  assert.equal(overloaded.body.code, 'LLM_OVERLOADED');
+
+  const timeout = toErrorResponse(new Anthropic.APIConnectionTimeoutError());
+  assert.equal(timeout.status, 504);
+  assert.equal(timeout.body.code, 'TIMEOUT');
+});
+
+test('chapters that cannot be exported are a 422', () => {
+  const { status, body } = toErrorResponse(new ChapterExportError('YouTube needs at least 3 chapters'));
+
+  assert.equal(status, 422);
+  assert.equal(body.code, 'CHAPTERS_UNAVAILABLE');
+  assert.equal(body.message, 'YouTube needs at least 3 chapters');
+});
+
+test('anything else is a 500 that does not leak the message', () => {
+  const { status, body } = toErrorResponse(new Error('ECONNRESET at socket.js:42'));
+
+  assert.equal(status, 500);
+  assert.equal(body.code, 'INTERNAL');
+  assert.doesNotMatch(body.message, /ECONNRESET/);
+});
+
+test('request IDs reuse a well-formed Vercel ID', () => {
+  assert.equal(getRequestId({ headers: { 'x-vercel-id': 'iad1::abc12-1700000000000-def' } }), 'iad1::abc12-1700000000000-def');
+  assert.match(getRequestId({ headers: { 'x-vercel-id': '<script>' } }), /^[0-9a-f-]{36}$/);
+
+  const req = { headers: {} };
+  assert.equal(getRequestId(req), getRequestId(req));
+});
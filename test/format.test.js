@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, formatDuration } from '../lib/format.js';
+
+test('parseDuration reads ISO 8601 durations from the YouTube API', () => {
+  assert.equal(parseDuration('PT4M10S'), 250);
+  assert.equal(parseDuration('PT1H2M3S'), 3723);
+  assert.equal(parseDuration('PT2H'), 7200);
+  assert.equal(parseDuration('PT45S'), 45);
+  assert.equal(parseDuration('PT10M'), 600);
+});
+
+test('parseDuration treats live streams and junk as zero', () => {
+  assert.equal(parseDuration('P0D'), 0);
+  assert.equal(parseDuration('PT0S'), 0);
+  assert.equal(parseDuration('not a duration'), 0);
+});
+
+test('formatDuration round-trips parsed durations', () => {
+  assert.equal(formatDuration(parseDuration('PT4M10S')), '4:10');
+  assert.equal(formatDuration(parseDuration('PT1H2M3S')), '1:02:03');
+});
@@ -0,0 +1,54 @@
+import { before, after, mock } from 'node:test';
+import { createFixtureServer } from '../../scripts/fixture-server.js';
+
+// Shared setup for the API handler tests. Hooks run in the order they're
+// registered, so call useFixtureServer() before importing a handler in the
+// test file's own before().
+
+// Serves test/fixtures for the whole file, with `env` set and console quiet
+export function useFixtureServer(env = {}) {
+  const fixtureServer = createFixtureServer();
+
+  before(async () => {
+    await new Promise(resolve => fixtureServer.listen(0, '127.0.0.1', resolve));
+    process.env.FIXTURE_SERVER = `http://127.0.0.1:${fixtureServer.address().port}`;
+    Object.assign(process.env, env);
+    delete process.env.CORS_ORIGINS;
+
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fixtureServer.close();
+  });
+}
+
+// Enough of an Express/Vercel response for a handler to answer through
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
@@ -0,0 +1,144 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { httpFetch, parseRetryAfter, HttpError } from '../lib/http.js';
+import { createCircuitBreaker } from '../lib/circuit.js';
+import { getTranscript, registerProvider, resetCircuitBreakers } from '../lib/transcript.js';
+
+// Answers each path from a queue of [status, headers] replies, or hangs on /hang
+let replies = {};
+let hits = {};
+let server;
+let base;
+
+before(async () => {
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+
+  server = createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    if (req.url === '/hang') return;
+    const [status, headers = {}] = replies[req.url]?.shift() || [200];
+    res.writeHead(status, headers);
+    res.end(`status ${status}`);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('retries 5xx responses until one succeeds', async () => {
+  replies['/flaky'] = [[503], [502]];
+  const response = await httpFetch(`${base}/flaky`);
+
+  assert.equal(response.status, 200);
+  assert.equal(hits['/flaky'], 3);
+});
+
+test('returns the last response once retries run out', async () => {
+  replies['/down'] = [[500], [500]];
+  const response = await httpFetch(`${base}/down`, { retries: 1 });
+
+  assert.equal(response.status, 500);
+  assert.equal(await response.text(), 'status 500');
+});
+
+test('does not retry client errors', async () => {
+  replies['/missing'] = [[404]];
+  const response = await httpFetch(`${base}/missing`);
+
+  assert.equal(response.status, 404);
+  assert.equal(hits['/missing'], 1);
+});
+
+test('hands back a 429 that asks for a longer wait than is worth it', async () => {
+  replies['/limited'] = [[429, { 'Retry-After': '120' }]];
+  const response = await httpFetch(`${base}/limited`);
+
+  assert.equal(response.status, 429);
+  assert.equal(hits['/limited'], 1);
+});
+
+test('retries a GET that times out until attempts run out', async () => {
+  await assert.rejects(httpFetch(`${base}/hang`, { timeout: 100, retries: 2 }), { name: 'TimeoutError' });
+  assert.equal(hits['/hang'], 3);
+});
+
+test('does not send a POST again after it times out', async () => {
+  hits['/hang'] = 0;
+  await assert.rejects(httpFetch(`${base}/hang`, { method: 'POST', timeout: 100 }), { name: 'TimeoutError' });
+  assert.equal(hits['/hang'], 1);
+});
+
+test('reads Retry-After as seconds or a date', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('a circuit opens after repeated failures and probes after the cooldown', () => {
+  let now = 0;
+  const breaker = createCircuitBreaker({ threshold: 2, cooldown: 1000, now: () => now });
+
+  breaker.failure();
+  assert.equal(breaker.allow(), true);
+  breaker.failure();
+  assert.equal(breaker.allow(), false);
+  assert.equal(breaker.retryIn(), 1);
+
+  now = 1000;
+  assert.equal(breaker.allow(), true);
+  assert.equal(breaker.allow(), false, 'only one probe at a time');
+  breaker.success();
+  assert.equal(breaker.allow(), true);
+});
+
+test('getTranscript skips a provider whose circuit is open', async () => {
+  resetCircuitBreakers();
+  let calls = 0;
+  registerProvider({
+    name: 'test-failing',
+    isAvailable: () => true,
+    fetchTranscript: async () => {
+      calls++;
+      throw new HttpError('Upstream error: 503', 503);
+    }
+  });
+  registerProvider({
+    name: 'test-working',
+    isAvailable: () => true,
+    fetchTranscript: async () => ({ transcript: [{ text: 'hi', offset: 0, duration: 1000 }], language: 'en' })
+  });
+  const order = ['test-failing', 'test-working'];
+
+  for (let i = 0; i < 3; i++) {
+    await getTranscript('fixtureVid1', { order });
+  }
+  const result = await getTranscript('fixtureVid1', { order });
+
+  assert.equal(calls, 3);
+  assert.equal(result.provider, 'test-working');
+  assert.equal(result.attempts[0].status, 'skipped');
+  assert.equal(result.attempts[0].code, 'PROVIDER_UNAVAILABLE');
+});
+
+test('a video without captions does not count against the provider', async () => {
+  resetCircuitBreakers();
+  registerProvider({
+    name: 'test-no-captions',
+    isAvailable: () => true,
+    fetchTranscript: async () => {
+      throw new Error('No caption tracks in player response');
+    }
+  });
+
+  for (let i = 0; i < 4; i++) {
+    const error = await getTranscript('noCaptions0', { order: ['test-no-captions'] }).catch(e => e);
+    assert.equal(error.code, 'NO_CAPTIONS');
+    assert.equal(error.attempts[0].status, 'failed');
+  }
+});
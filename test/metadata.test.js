@@ -0,0 +1,60 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureServer } from '../scripts/fixture-server.js';
+
+// getVideoInfo against test/fixtures: fixtureVid1 is known to every source,
+// quotaOut000 hits a Data API that is over its quota.
+
+const fixtureServer = createFixtureServer();
+let getVideoInfo;
+
+before(async () => {
+  await new Promise(resolve => fixtureServer.listen(0, '127.0.0.1', resolve));
+  process.env.FIXTURE_SERVER = `http://127.0.0.1:${fixtureServer.address().port}`;
+  mock.method(console, 'warn', () => {});
+
+  ({ getVideoInfo } = await import('../lib/metadata.js'));
+});
+
+after(() => {
+  fixtureServer.close();
+});
+
+test('the Data API supplies every field, like counts included', async () => {
+  const info = await getVideoInfo('fixtureVid1');
+
+  assert.equal(info.source, 'youtube-api');
+  assert.equal(info.likeCount, '1934');
+  assert.equal(info.duration, 250);
+  assert.deepEqual(info.attempts.map(attempt => attempt.provider), ['youtube-api']);
+});
+
+test('falls back to the player response when the Data API is over quota, skipping oEmbed', async () => {
+  const info = await getVideoInfo('quotaOut000');
+
+  assert.equal(info.source, 'innertube');
+  assert.equal(info.title, 'Fixture Servers in 4 Minutes');
+  assert.equal(info.channelTitle, 'Offline Engineering');
+  assert.equal(info.duration, 250);
+  assert.equal(info.viewCount, '48213');
+  assert.equal(info.publishedAt, '2025-03-14T08:00:00-07:00');
+  assert.equal(info.likeCount, undefined);
+  assert.deepEqual(info.attempts.map(attempt => [attempt.provider, attempt.status]), [
+    ['youtube-api', 'failed'],
+    ['innertube', 'succeeded']
+  ]);
+});
+
+test('merges field by field, asking later sources only for what is missing', async () => {
+  const info = await getVideoInfo('fixtureVid1', { order: ['oembed', 'innertube'] });
+
+  assert.equal(info.source, 'oembed');
+  assert.deepEqual(info.attempts.map(attempt => attempt.fields), [
+    ['title', 'channelTitle'],
+    ['duration', 'viewCount', 'publishedAt', 'description']
+  ]);
+});
+
+test('a missing video stops the chain', async () => {
+  await assert.rejects(getVideoInfo('notFound000'), { code: 'VIDEO_NOT_FOUND' });
+});
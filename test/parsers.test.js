@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTranscriptXml, parseVTT, parseJSON3 } from '../lib/providers/parsers.js';
+
+test('parseTranscriptXml reads start and duration in milliseconds', () => {
+  const xml = '<?xml version="1.0"?><transcript>'
+    + '<text start="1.5" dur="3.25">Hello there</text>'
+    + '<text dur="2" start="4.75">General Kenobi</text>'
+    + '</transcript>';
+
+  assert.deepEqual(parseTranscriptXml(xml), [
+    { text: 'Hello there', offset: 1500, duration: 3250 },
+    { text: 'General Kenobi', offset: 4750, duration: 2000 }
+  ]);
+});
+
+test('parseTranscriptXml defaults a missing duration to two seconds', () => {
+  assert.equal(parseTranscriptXml('<text start="10">No dur</text>')[0].duration, 2000);
+});
+
+test('parseTranscriptXml decodes entities, including double-encoded ones', () => {
+  const [line] = parseTranscriptXml('<text start="0" dur="1">Tom &amp;amp; Jerry&amp;#39;s &quot;show&quot;</text>');
+  assert.equal(line.text, 'Tom & Jerry\'s "show"');
+});
+
+test('parseTranscriptXml throws when there are no text elements', () => {
+  assert.throws(() => parseTranscriptXml('<transcript></transcript>'), /No caption text/);
+});
+
+test('parseVTT reads cues and strips inline tags', () => {
+  const vtt = [
+    'WEBVTT',
+    'Kind: captions',
+    '',
+    '00:00:01.000 --> 00:00:03.500 align:start position:0%',
+    'first <c>line</c>',
+    '',
+    '01:02:03.000 --> 01:02:05.000',
+    'second &amp; last',
+    'continued',
+    ''
+  ].join('\n');
+
+  assert.deepEqual(parseVTT(vtt), [
+    { text: 'first line', offset: 1000, duration: 0 },
+    { text: 'second & last continued', offset: 3723000, duration: 0 }
+  ]);
+});
+
+test('parseVTT skips cues without text', () => {
+  assert.deepEqual(parseVTT('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n\n'), []);
+});
+
+test('parseJSON3 joins segments and keeps YouTube timing', () => {
+  const json = JSON.stringify({
+    events: [
+      { tStartMs: 0, dDurationMs: 5000 },
+      { tStartMs: 1200, dDurationMs: 2400, segs: [{ utf8: 'hello' }, { utf8: ' world' }] },
+      { tStartMs: 3600, segs: [{ utf8: '\n' }] },
+      { tStartMs: 4000, dDurationMs: 1000, segs: [{ utf8: 'two\nlines' }] }
+    ]
+  });
+
+  assert.deepEqual(parseJSON3(json), [
+    { text: 'hello world', offset: 1200, duration: 2400 },
+    { text: 'two lines', offset: 4000, duration: 1000 }
+  ]);
+});
+
+test('parseJSON3 returns nothing for a file without events', () => {
+  assert.deepEqual(parseJSON3('{}'), []);
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// A stand-in yt-dlp that records its arguments and writes the tracks a German
+// video with auto-generated captions gets: the spoken-language track and an
+// English auto-translation
+const FAKE_YT_DLP = `#!/usr/bin/env node
+const { writeFileSync } = require('fs');
+const args = process.argv.slice(2);
+const output = args[args.indexOf('-o') + 1];
+const json3 = text => JSON.stringify({ events: [{ tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: text }] }] });
+writeFileSync(process.env.FAKE_YT_DLP_ARGS, JSON.stringify(args));
+writeFileSync(output.replace('%(ext)s', 'de-orig.json3'), json3('Hallo zusammen'));
+writeFileSync(output.replace('%(ext)s', 'en.json3'), json3('Hello everyone'));
+`;
+
+let dir;
+let ytdlp;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'fake-yt-dlp-'));
+  const path = join(dir, 'yt-dlp.cjs');
+  await writeFile(path, FAKE_YT_DLP);
+  await chmod(path, 0o755);
+  process.env.YT_DLP_PATH = path;
+  process.env.FAKE_YT_DLP_ARGS = join(dir, 'args.json');
+
+  ytdlp = await import('../lib/providers/ytdlp.js');
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function subLangs() {
+  const args = JSON.parse(await readFile(process.env.FAKE_YT_DLP_ARGS, 'utf-8'));
+  return args[args.indexOf('--sub-langs') + 1];
+}
+
+test('without a language, reads the spoken-language track rather than English', async () => {
+  const result = await ytdlp.fetchTranscript('fixtureVid1');
+
+  assert.equal(await subLangs(), '.*-orig,en.*');
+  assert.equal(result.language, 'de');
+  assert.equal(result.transcript[0].text, 'Hallo zusammen');
+  assert.deepEqual(result.tracks.map(track => [track.languageCode, track.kind]), [['de', 'asr'], ['en', null]]);
+});
+
+test('reads the requested language when there is one', async () => {
+  const result = await ytdlp.fetchTranscript('fixtureVid1', { lang: 'en' });
+
+  assert.equal(await subLangs(), 'en');
+  assert.equal(result.language, 'en');
+  assert.equal(result.transcript[0].text, 'Hello everyone');
+});